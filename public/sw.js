@@ -0,0 +1,159 @@
+/**
+ * Service worker: offline app shell, map tiles and Worker API responses.
+ *
+ * Caches:
+ *   shell  — index.html and the built assets listed in precache-manifest.json
+ *            (written by the precache plugin in vite.config.js), plus the
+ *            Leaflet CSS and web fonts from their CDNs
+ *   tiles  — map tiles of visited areas, cache-first, at most TILE_MAX_ENTRIES;
+ *            the oldest are evicted first
+ *   api    — GET /api/segments* responses, network-first with cache fallback,
+ *            at most API_MAX_ENTRIES; the oldest are evicted first. The
+ *            caller's own PR (athlete_segment_stats) is stripped first — the
+ *            cache outlives a logout and must not show it to the next account.
+ *
+ * VERSION is replaced with a hash of the build's asset list at build time
+ * (vite.config.js), so every deploy gets a fresh shell cache and the
+ * previous one is deleted on activate.
+ *
+ * The tile host is passed by the page as ?tiles=<host>, so a local mock
+ * tile server (VITE_TILE_URL) is cached the same way as CARTO.
+ */
+
+const VERSION = 'dev';
+const SHELL_CACHE = `shell-${VERSION}`;
+const TILE_CACHE = 'tiles';
+const API_CACHE = 'api';
+// ~20 KB per tile → roughly 50 MB
+const TILE_MAX_ENTRIES = 2500;
+// One entry per segment detail or cache query
+const API_MAX_ENTRIES = 500;
+
+const TILE_HOST = new URL(self.location.href).searchParams.get('tiles');
+const PUBLIC_FILES = ['/', '/manifest.webmanifest', '/icon-192.png', '/icon-512.png'];
+// Third-party stylesheet and font hosts the shell needs to render
+const STATIC_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      let assets = [];
+      try {
+        assets = await (await fetch('/precache-manifest.json', { cache: 'no-store' })).json();
+      } catch {
+        // Dev server — no manifest; the shell is cached at runtime instead
+      }
+      await cache.addAll([...PUBLIC_FILES, ...assets]);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      for (const key of await caches.keys()) {
+        if (key.startsWith('shell-') && key !== SHELL_CACHE) await caches.delete(key);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (TILE_HOST && url.host.endsWith(TILE_HOST)) {
+    event.respondWith(tileFirst(request));
+  } else if (STATIC_HOSTS.includes(url.host)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith('/api/segments')) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+    event.respondWith(shell(request));
+  }
+});
+
+// Navigations always get index.html — the app routes client-side
+async function shell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = request.mode === 'navigate' ? '/' : request;
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function tileFirst(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimCache(TILE_CACHE, TILE_MAX_ENTRIES);
+  }
+  return response;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Cross-origin stylesheets load no-cors, so an opaque response is expected
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, await withoutAthleteStats(response.clone()));
+      trimCache(cacheName, API_MAX_ENTRIES);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Segment details carry the caller's PR; the rest of the body is shared data
+async function withoutAthleteStats(response) {
+  const body = await response.clone().json().catch(() => null);
+  if (!body || !('athlete_segment_stats' in body)) return response;
+  const { athlete_segment_stats, ...shared } = body;
+  return new Response(JSON.stringify(shared), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+// Cache keys come back in insertion order, so the front is the oldest
+const trimming = new Set();
+async function trimCache(cacheName, maxEntries) {
+  if (trimming.has(cacheName)) return;
+  trimming.add(cacheName);
+  try {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+  } finally {
+    trimming.delete(cacheName);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Local mock server for trying the PWA's tile and data caching.
+ *
+ *   VITE_TILE_URL=http://localhost:8081/{z}/{x}/{y}.png npm run build
+ *   npm run mock
+ *
+ * :8080 serves dist/ plus a fake Worker API (explore, batch, cache query),
+ * :8081 serves flat PNG tiles. Every request is logged, so once an area has
+ * been visited, stopping the server (or DevTools → offline) shows what the
+ * service worker answers from its caches.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { encodePolyline } from '../src/lib/polyline.js';
+
+const APP_PORT = 8080;
+const TILE_PORT = 8081;
+const DIST = path.resolve('dist');
+
+const MIME = {
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+};
+
+// ── Tiles ──────────────────────────────────────────────────────────────
+
+function crc32(buf) {
+  let c = ~0;
+  for (const byte of buf) {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = (c >>> 1) ^ (0xedb88320 & -(c & 1));
+  }
+  return ~c >>> 0;
+}
+
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// 256×256 single-colour PNG; the colour varies per tile so caching is visible
+function tilePng(z, x, y) {
+  const shade = 30 + ((x + y + z) % 4) * 12;
+  const row = Buffer.alloc(1 + 256 * 3, shade);
+  row[0] = 0;
+  const raw = Buffer.concat(Array.from({ length: 256 }, () => row));
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(256, 0);
+  header.writeUInt32BE(256, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+http
+  .createServer((req, res) => {
+    console.log(`[tiles] ${req.url}`);
+    const match = req.url.match(/^\/(\d+)\/(\d+)\/(\d+)\.png/);
+    if (!match) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Access-Control-Allow-Origin': '*' });
+    res.end(tilePng(...match.slice(1).map(Number)));
+  })
+  .listen(TILE_PORT, () => console.log(`Tiles on http://localhost:${TILE_PORT}`));
+
+// ── Fake Worker API ────────────────────────────────────────────────────
+
+// Nine deterministic segments spread over the bounds
+function fakeSegments([swLat, swLng, neLat, neLng]) {
+  const segments = [];
+  for (let i = 0; i < 9; i++) {
+    const lat = swLat + ((i % 3) + 0.5) * (neLat - swLat) / 3;
+    const lng = swLng + (Math.floor(i / 3) + 0.5) * (neLng - swLng) / 3;
+    const id = Math.abs(Math.round(lat * 1e3) * 100000 + Math.round(lng * 1e3));
+    const end = [lat + 0.004, lng + 0.006];
+    segments.push({
+      id,
+      name: `Mock ${id}`,
+      distance: 600 + i * 150,
+      avg_grade: 2 + i,
+      elev_difference: (600 + i * 150) * (2 + i) / 100,
+      start_latlng: [lat, lng],
+      end_latlng: end,
+      points: encodePolyline([[lat, lng], end]),
+      surface: i === 8 ? 'unpaved' : 'paved',
+      kom_time: `${2 + i}:${String(10 + i).padStart(2, '0')}`,
+      qom_time: `${3 + i}:${String(20 + i).padStart(2, '0')}`,
+      star_count: i * 3,
+      extracted_at: Date.now(),
+    });
+  }
+  return segments;
+}
+
+function asCachedRow(seg) {
+  const { start_latlng, end_latlng, ...rest } = seg;
+  return {
+    ...rest,
+    start_lat: start_latlng[0],
+    start_lng: start_latlng[1],
+    end_lat: end_latlng[0],
+    end_lng: end_latlng[1],
+  };
+}
+
+function sendJson(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function handleApi(req, res, url) {
+  const bounds = (url.searchParams.get('bounds') || '47.3,8.5,47.4,8.6').split(',').map(Number);
+
+  if (url.pathname === '/api/explore') {
+    sendJson(res, { segments: fakeSegments(bounds), coverage: 1 });
+  } else if (url.pathname === '/api/segments' && req.method === 'GET') {
+    sendJson(res, { segments: fakeSegments(bounds).map(asCachedRow), nextCursor: null });
+  } else if (url.pathname === '/api/segments/batch') {
+    // Details come with the cache query above; nothing extra here
+    sendJson(res, { segments: {}, failed: [] });
+  } else if (url.pathname.endsWith('/history')) {
+    sendJson(res, { kom: [], qom: [] });
+  } else {
+    sendJson(res, { error: 'Not mocked' }, 404);
+  }
+}
+
+http
+  .createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${APP_PORT}`);
+    console.log(`[app]   ${req.method} ${url.pathname}${url.search}`);
+
+    if (url.pathname.startsWith('/api/')) {
+      handleApi(req, res, url);
+      return;
+    }
+
+    let file = path.join(DIST, url.pathname);
+    if (!file.startsWith(DIST) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+      file = path.join(DIST, 'index.html');
+    }
+    res.writeHead(200, { 'Content-Type': MIME[path.extname(file)] || 'application/octet-stream' });
+    fs.createReadStream(file).pipe(res);
+  })
+  .listen(APP_PORT, () => console.log(`App on http://localhost:${APP_PORT}`));
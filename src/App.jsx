@@ -1,51 +1,161 @@
-import React, { useState, useCallback, useEffect, useRef } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { useAuth } from './hooks/useAuth.js';
 import { useSegments } from './hooks/useSegments.js';
+import { useWind } from './hooks/useWind.js';
+import { useRateLimit } from './hooks/useRateLimit.js';
+import { useFilteredSegments } from './hooks/useFilteredSegments.js';
+import { useOnline } from './hooks/useOnline.js';
+import { useTargets } from './hooks/useTargets.js';
+import { usePersonalRecords } from './hooks/usePersonalRecords.js';
+import { useRoute } from './hooks/useRoute.js';
+import { useShareLink } from './hooks/useShareLink.js';
 import AuthScreen from './components/AuthScreen.jsx';
 import TopBar from './components/TopBar.jsx';
 import MapView from './components/MapView.jsx';
 import SegmentPanel from './components/SegmentPanel.jsx';
 import SettingsModal from './components/SettingsModal.jsx';
+import TargetsPanel from './components/TargetsPanel.jsx';
+import SegmentDrawer from './components/SegmentDrawer.jsx';
+import RoutePanel from './components/RoutePanel.jsx';
 import StatusBar from './components/StatusBar.jsx';
 import { getAthlete } from './lib/strava.js';
-import { LS_GENDER_TYPE, LS_RIDER_MASS, LS_BIKE_PROFILE } from './lib/constants.js';
+import { setAthlete } from './lib/personalRecords.js';
+import { DEFAULT_FILTERS } from './lib/segmentFilter.js';
+import { isRouteFile } from './lib/routeImport.js';
+import { getSegmentDifficulty } from './lib/segmentDifficulty.js';
+import { boundsContain } from './lib/polyline.js';
+import { readInitialLink } from './lib/shareLink.js';
+import { LS_GENDER_TYPE, LS_RIDER_MASS, LS_POWER_PROFILE, LS_WIND, LS_BIKE_PROFILE } from './lib/constants.js';
 
 const DEFAULT_MASS = 75;
+// Show the coverage hint when less of the searched area than this was fully explored
+const COVERAGE_HINT_BELOW = 0.95;
 
 export default function App() {
   const { getValidToken, loading: authLoading, error: authError, login, logout, isAuthenticated } = useAuth();
-  const { segments, activeId, setActiveId, loading, error, loadForBounds, refreshDetail } = useSegments(getValidToken);
+  const {
+    segments,
+    activeId,
+    setActiveId,
+    loading,
+    error,
+    coverage,
+    restoring,
+    loadForBounds,
+    loadAlongRoute,
+    refreshDetail,
+    loadSegment,
+    addSegment,
+  } = useSegments(getValidToken);
+  const {
+    targets,
+    targetIds,
+    pin,
+    unpin,
+    update: updateTarget,
+    refreshSnapshots,
+    syncEnabled,
+    setSyncEnabled,
+    syncError,
+  } = useTargets(getValidToken);
 
+  // Opened from a shared link (or one kept across the Strava login). Its
+  // settings apply to this view only and are not stored as preferences.
+  const [initialLink] = useState(readInitialLink);
+  const [linkedSegment, setLinkedSegment] = useState(initialLink?.activeId ?? null);
   const [genderType, setGenderType] = useState(
-    () => localStorage.getItem(LS_GENDER_TYPE) || 'king'
+    () => initialLink?.genderType || localStorage.getItem(LS_GENDER_TYPE) || 'king'
   );
   const [bikeProfile, setBikeProfile] = useState(
-    () => localStorage.getItem(LS_BIKE_PROFILE) || 'road'
+    () => initialLink?.bikeProfile || localStorage.getItem(LS_BIKE_PROFILE) || 'road'
   );
   const [riderMass, setRiderMass] = useState(
     () => parseFloat(localStorage.getItem(LS_RIDER_MASS)) || DEFAULT_MASS
   );
+  const [powerProfile, setPowerProfile] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(LS_POWER_PROFILE)) || null;
+    } catch {
+      return null;
+    }
+  });
+  const [windSettings, setWindSettings] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(LS_WIND)) || { mode: 'off' };
+    } catch {
+      return { mode: 'off' };
+    }
+  });
+  const [filters, setFilters] = useState(() => ({ ...DEFAULT_FILTERS, ...initialLink?.filters }));
   const [stravaWeight, setStravaWeight] = useState(null);
   const [showSettings, setShowSettings] = useState(false);
+  const [showTargets, setShowTargets] = useState(false);
+  const [showDetail, setShowDetail] = useState(false);
+  const [hoverPoint, setHoverPoint] = useState(null);
+  const [mapFocus, setMapFocus] = useState(null);
+  const [mapView, setMapView] = useState(null);
   const [mapBounds, setMapBounds] = useState(null);
   const [pendingSearch, setPendingSearch] = useState(false);
   const hasSearchedOnce = useRef(false);
   const [zoomTooLow, setZoomTooLow] = useState(false);
   const [displayError, setDisplayError] = useState(null);
   const [panelOffset, setPanelOffset] = useState(0);
+  const { wind, error: windError } = useWind(windSettings, mapBounds);
+  const rateLimit = useRateLimit();
+  const online = useOnline();
+  const records = usePersonalRecords(activeId, getValidToken);
+  const { route, matches: routeMatches, progress: routeProgress, error: routeError, importFile, clearRoute } =
+    useRoute(segments, loadAlongRoute);
+  const [dragging, setDragging] = useState(false);
+  const { rated, visibleIds } = useFilteredSegments(segments, {
+    riderMass,
+    genderType,
+    bikeProfile,
+    powerProfile,
+    wind,
+    filters,
+  });
+  const segmentRatings = useMemo(
+    () => Object.fromEntries(
+      rated
+        .filter(({ difficulty }) => difficulty.isValid)
+        .map(({ id, difficulty }) => [
+          id,
+          { score: difficulty.difficultyScore, ...difficulty.difficultyClass },
+        ])
+    ),
+    [rated]
+  );
+
+  // Pinned segments for export — loaded or not, filtered or not
+  const pinnedEntries = useMemo(
+    () => targets.map((target) => {
+      const seg = segments[target.segment_id] || target.snapshot;
+      const difficulty = seg && getSegmentDifficulty(seg, riderMass, genderType, bikeProfile, powerProfile, wind);
+      return { id: String(target.segment_id), seg, difficulty };
+    }),
+    [targets, segments, riderMass, genderType, bikeProfile, powerProfile, wind]
+  );
 
-  // Auto-dismiss API errors after 5 s; zoom hint persists until resolved
+  // Auto-dismiss API and route import errors after 5 s; zoom hint persists until resolved
   useEffect(() => {
-    if (!error) { setDisplayError(null); return; }
-    setDisplayError(error);
+    const message = error || routeError;
+    if (!message) { setDisplayError(null); return; }
+    setDisplayError(message);
     const t = setTimeout(() => setDisplayError(null), 5000);
     return () => clearTimeout(t);
-  }, [error]);
+  }, [error, routeError]);
 
   const statusMessage = displayError
     ? { type: 'error', text: displayError }
+    : !online
+    ? { type: 'info', text: 'Offline – zeige gespeicherte Daten' }
     : zoomTooLow
     ? { type: 'info', text: 'Zoom in closer to load segments' }
+    : windError
+    ? { type: 'info', text: windError }
+    : coverage != null && coverage < COVERAGE_HINT_BELOW && !pendingSearch && !loading
+    ? { type: 'info', text: `Abdeckung ${Math.round(coverage * 100)} % — dichte Gegend, nicht alle Segmente geladen. Reinzoomen oder erneut suchen.` }
     : null;
 
   // On first auth: fetch athlete weight, auto-show settings if mass not yet stored
@@ -56,6 +166,7 @@ export default function App() {
       if (!token) return;
       getAthlete(token)
         .then((athlete) => {
+          setAthlete(athlete.id);
           if (athlete.weight) {
             setStravaWeight(athlete.weight);
             if (!localStorage.getItem(LS_RIDER_MASS)) {
@@ -75,22 +186,136 @@ export default function App() {
   const handleBoundsChange = useCallback(
     (bounds) => {
       setMapBounds(bounds);
-      if (!hasSearchedOnce.current) {
-        hasSearchedOnce.current = true;
-        loadForBounds(bounds);
-      } else {
-        setPendingSearch(true);
-      }
+      if (hasSearchedOnce.current) setPendingSearch(true);
     },
-    [loadForBounds]
+    []
   );
 
+  // First search once the IndexedDB restore is done. A restored session
+  // that already has segments in view needs no network call.
+  useEffect(() => {
+    if (restoring || !mapBounds || hasSearchedOnce.current) return;
+    hasSearchedOnce.current = true;
+    const covered = Object.values(segments).some(({ data }) => boundsContain(mapBounds, data.start_latlng));
+    if (!covered) loadForBounds(mapBounds);
+  }, [restoring, mapBounds, segments, loadForBounds]);
+
   const handleSearchHere = useCallback(() => {
     if (!mapBounds) return;
     setPendingSearch(false);
     loadForBounds(mapBounds);
   }, [mapBounds, loadForBounds]);
 
+  // Keep target snapshots current whenever fresher details come in
+  useEffect(() => {
+    refreshSnapshots(segments);
+  }, [segments, refreshSnapshots]);
+
+  const handleToggleTarget = useCallback(
+    (segmentId) => {
+      if (targetIds.has(String(segmentId))) unpin(segmentId);
+      else pin(segmentId, segments[segmentId]);
+    },
+    [targetIds, segments, pin, unpin]
+  );
+
+  const handleShowTarget = useCallback(
+    (segmentId, segment) => {
+      addSegment(segmentId, segment);
+      setActiveId(segmentId);
+      setMapFocus({ latlng: segment.data.start_latlng });
+      setShowTargets(false);
+    },
+    [addSegment, setActiveId]
+  );
+
+  const activeSegment = activeId != null ? segments[activeId] : null;
+
+  // A segment from a shared link is selected once the session restore is
+  // done — loaded from the Worker if it is not cached — and opened in the
+  // drawer. The hash is left alone meanwhile, so it keeps the segment.
+  useEffect(() => {
+    if (restoring || !isAuthenticated || linkedSegment == null) return;
+    let cancelled = false;
+    (async () => {
+      const found = segments[linkedSegment] || (await loadSegment(linkedSegment));
+      if (cancelled) return;
+      setActiveId(found ? linkedSegment : null);
+      setShowDetail(!!found);
+      setLinkedSegment(null);
+    })();
+    return () => { cancelled = true; };
+  }, [restoring, isAuthenticated, linkedSegment]);
+
+  // Top-bar search: fly to a place, or load and select a segment by ID.
+  // Resolves to the label the search box remembers, null if not found.
+  const handleSearchPick = useCallback(
+    async ({ label, latlng, bounds, segmentId }) => {
+      if (segmentId == null) {
+        setMapFocus({ latlng, bounds, fly: true });
+        return label;
+      }
+      const segment = segments[segmentId] || (await loadSegment(segmentId));
+      if (!segment) return null;
+      setActiveId(segmentId);
+      setShowDetail(true);
+      setMapFocus({ latlng: segment.data.start_latlng, fly: true });
+      return segment.data.name;
+    },
+    [segments, loadSegment, setActiveId]
+  );
+
+  // Back/forward through shared states
+  const handleNavigate = useCallback(
+    (link) => {
+      if (link.view) setMapFocus({ latlng: link.view.center, zoom: link.view.zoom });
+      if (link.bikeProfile) setBikeProfile(link.bikeProfile);
+      if (link.genderType) setGenderType(link.genderType);
+      setFilters({ ...DEFAULT_FILTERS, ...link.filters });
+      if (link.activeId != null) setLinkedSegment(link.activeId);
+      else setActiveId(null);
+    },
+    [setActiveId]
+  );
+
+  useShareLink(
+    isAuthenticated && mapView && linkedSegment == null
+      ? { view: mapView, activeId, bikeProfile, genderType, filters }
+      : null,
+    handleNavigate
+  );
+
+  const handleCloseDetail = useCallback(() => {
+    setShowDetail(false);
+    setHoverPoint(null);
+  }, []);
+
+  // Selecting from the panel or the map opens the detail drawer
+  const handleSelect = useCallback(
+    (segmentId) => {
+      setActiveId(segmentId);
+      setShowDetail(true);
+    },
+    [setActiveId]
+  );
+
+  // Route files dropped on the map (or picked via the top bar)
+  const handleDrop = useCallback(
+    (e) => {
+      e.preventDefault();
+      setDragging(false);
+      const file = [...e.dataTransfer.files].find(isRouteFile);
+      if (file) importFile(file);
+    },
+    [importFile]
+  );
+
+  const handleDragOver = useCallback((e) => {
+    if (![...e.dataTransfer.types].includes('Files')) return;
+    e.preventDefault();
+    setDragging(true);
+  }, []);
+
   const handleGenderChange = useCallback((gender) => {
     setGenderType(gender);
     localStorage.setItem(LS_GENDER_TYPE, gender);
@@ -101,9 +326,13 @@ export default function App() {
     localStorage.setItem(LS_BIKE_PROFILE, profile);
   }, []);
 
-  const handleSaveMass = useCallback((val) => {
-    setRiderMass(val);
-    localStorage.setItem(LS_RIDER_MASS, String(val));
+  const handleSaveSettings = useCallback((mass, profile, windConfig) => {
+    setRiderMass(mass);
+    localStorage.setItem(LS_RIDER_MASS, String(mass));
+    setPowerProfile(profile);
+    localStorage.setItem(LS_POWER_PROFILE, JSON.stringify(profile));
+    setWindSettings(windConfig);
+    localStorage.setItem(LS_WIND, JSON.stringify(windConfig));
     setShowSettings(false);
   }, []);
 
@@ -117,13 +346,24 @@ export default function App() {
     <div className="app-screen">
       <TopBar
         segmentCount={segmentCount}
+        rateLimit={rateLimit}
+        targetCount={targets.length}
+        onSearchPick={handleSearchPick}
+        onTargetsOpen={() => setShowTargets(true)}
+        onRouteImport={importFile}
         onSettingsOpen={() => setShowSettings(true)}
       />
 
       <StatusBar message={statusMessage} />
 
-      <div className="main-content">
-        {pendingSearch && !loading && !zoomTooLow && !displayError && (
+      <div
+        className="main-content"
+        onDragOver={handleDragOver}
+        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDragging(false)}
+        onDrop={handleDrop}
+      >
+        {dragging && <div className="route-dropzone">GPX, TCX oder FIT hier ablegen</div>}
+        {pendingSearch && online && !loading && !zoomTooLow && !displayError && (
           <button className="search-here-btn" onClick={handleSearchHere}>
             In diesem Bereich suchen
           </button>
@@ -138,31 +378,100 @@ export default function App() {
           segments={segments}
           activeId={activeId}
           onBoundsChange={handleBoundsChange}
-          onSegmentClick={setActiveId}
-          bikeProfile={bikeProfile}
+          onSegmentClick={handleSelect}
+          visibleIds={visibleIds}
+          ratings={segmentRatings}
+          targetIds={targetIds}
+          onToggleTarget={handleToggleTarget}
+          focus={mapFocus}
+          initialView={initialLink?.view}
+          onViewChange={setMapView}
+          hoverPoint={hoverPoint}
+          route={route}
           onZoomChange={setZoomTooLow}
           panelOffset={panelOffset}
         />
 
         <SegmentPanel
-          segments={segments}
+          rated={rated}
           activeId={activeId}
-          onSelect={setActiveId}
+          onSelect={handleSelect}
           loading={loading}
           mapBounds={mapBounds}
           genderType={genderType}
           riderMass={riderMass}
           bikeProfile={bikeProfile}
+          records={records}
+          wind={wind}
+          filters={filters}
+          onFiltersChange={setFilters}
           onRefreshSegment={refreshDetail}
+          targetIds={targetIds}
+          pinnedEntries={pinnedEntries}
+          onToggleTarget={handleToggleTarget}
           onHeightChange={setPanelOffset}
         />
+
+        {route && (
+          <RoutePanel
+            route={route}
+            matches={routeMatches}
+            progress={routeProgress}
+            segments={segments}
+            activeId={activeId}
+            genderType={genderType}
+            riderMass={riderMass}
+            bikeProfile={bikeProfile}
+            powerProfile={powerProfile}
+            wind={wind}
+            bottomOffset={panelOffset}
+            onSelect={handleSelect}
+            onClose={clearRoute}
+          />
+        )}
+
+        {showDetail && activeSegment && (
+          <SegmentDrawer
+            segmentId={activeId}
+            segment={activeSegment}
+            genderType={genderType}
+            riderMass={riderMass}
+            bikeProfile={bikeProfile}
+            powerProfile={powerProfile}
+            wind={wind}
+            bottomOffset={panelOffset}
+            onHover={setHoverPoint}
+            onClose={handleCloseDetail}
+          />
+        )}
       </div>
 
+      {showTargets && (
+        <TargetsPanel
+          targets={targets}
+          segments={segments}
+          genderType={genderType}
+          riderMass={riderMass}
+          bikeProfile={bikeProfile}
+          powerProfile={powerProfile}
+          getValidToken={getValidToken}
+          onUpdate={updateTarget}
+          onRemove={unpin}
+          onShow={handleShowTarget}
+          syncEnabled={syncEnabled}
+          onSyncChange={setSyncEnabled}
+          syncError={syncError}
+          onClose={() => setShowTargets(false)}
+        />
+      )}
+
       {showSettings && (
         <SettingsModal
           riderMass={riderMass}
           stravaWeight={stravaWeight}
-          onSave={handleSaveMass}
+          powerProfile={powerProfile}
+          windSettings={windSettings}
+          onSave={handleSaveSettings}
           onClose={() => setShowSettings(false)}
           genderType={genderType}
           onTypeChange={handleGenderChange}
@@ -0,0 +1,81 @@
+import React from 'react';
+import { FILTER_FIELDS, DEFAULT_FILTERS, activeFilterCount } from '../lib/segmentFilter.js';
+
+/**
+ * Collapsible filter bar above the segment panel.
+ *
+ * Each range has two sliders (min, max). A slider at its end stop means
+ * "unbounded", so the default state hides nothing.
+ *
+ * Props:
+ * - filters: shape of DEFAULT_FILTERS
+ * - onChange(filters)
+ */
+export default function FilterBar({ filters, onChange }) {
+  function setRange(field, index, raw) {
+    const value = Number(raw);
+    const atEnd = index === 0 ? value <= field.min : value >= field.max;
+    const range = [...filters[field.key]];
+    range[index] = atEnd ? null : value;
+
+    // Keep min ≤ max by pushing the other handle along
+    const [min, max] = range;
+    if (min != null && max != null && min > max) range[1 - index] = range[index];
+
+    onChange({ ...filters, [field.key]: range });
+  }
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-head">
+        <input
+          type="search"
+          className="modal-input modal-input-sm filter-search"
+          placeholder="Segment suchen…"
+          value={filters.query}
+          onChange={(e) => onChange({ ...filters, query: e.target.value })}
+        />
+        {activeFilterCount(filters) > 0 && (
+          <button className="filter-reset" onClick={() => onChange(DEFAULT_FILTERS)}>
+            Zurücksetzen
+          </button>
+        )}
+      </div>
+
+      {FILTER_FIELDS.map((field) => {
+        const [min, max] = filters[field.key];
+        return (
+          <div key={field.key} className="filter-row">
+            <span className="filter-label">{field.label}</span>
+            <input
+              type="range"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={min ?? field.min}
+              onChange={(e) => setRange(field, 0, e.target.value)}
+            />
+            <input
+              type="range"
+              min={field.min}
+              max={field.max}
+              step={field.step}
+              value={max ?? field.max}
+              onChange={(e) => setRange(field, 1, e.target.value)}
+            />
+            <span className="filter-value">
+              {formatRange(min, max, field)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function formatRange(min, max, field) {
+  if (min == null && max == null) return 'alle';
+  if (min == null) return `≤ ${max} ${field.unit}`;
+  if (max == null) return `≥ ${min} ${field.unit}`;
+  return `${min}–${max} ${field.unit}`;
+}
@@ -1,15 +1,18 @@
 import { useEffect, useRef, useCallback } from 'react';
 import L from 'leaflet';
-import { decodePolyline } from '../lib/polyline.js';
+import { decodePolyline, boundsContain, simplifyPolyline } from '../lib/polyline.js';
+import { DIFFICULTY_CLASSES } from '../lib/segmentDifficulty.js';
+import { clusterByGrid, ratingRange } from '../lib/mapClusters.js';
 import {
   TILE_URL,
   TILE_ATTRIBUTION,
   DEFAULT_CENTER,
   DEFAULT_ZOOM,
   MIN_ZOOM_FOR_SEGMENTS,
-  COLOR_DEFAULT,
+  COLOR_UNRATED,
   COLOR_ACTIVE,
   MOVE_DEBOUNCE,
+  LS_MAP_VIEW,
 } from '../lib/constants.js';
 
 /**
@@ -17,8 +20,11 @@ import {
  *
  * Responsibilities:
  * - Initialize Leaflet map with dark CARTO tiles
- * - Draw segment polylines + start markers
+ * - Draw segment polylines + start markers, coloured by difficulty class,
+ *   on a shared canvas, simplified per zoom bucket; cull segments far outside the viewport
+ * - Cluster start markers below CLUSTER_BELOW_ZOOM
  * - Highlight active segment
+ * - Legend of the difficulty classes
  * - Emit bounds on map move (debounced)
  * - Show zoom hint when too far out
  *
@@ -27,6 +33,15 @@ import {
  * - activeId: currently highlighted segment ID
  * - onBoundsChange(bounds): called with [SW_lat, SW_lng, NE_lat, NE_lng]
  * - onSegmentClick(id): called when a segment is clicked on the map
+ * - visibleIds: Set of segment IDs passing the bike profile and filters
+ * - ratings: { [id]: { score, color, label } } difficulty per rated visible segment
+ * - targetIds: Set of pinned segment IDs (outlined); onToggleTarget(id) from the marker popup
+ * - focus: { latlng, zoom?, bounds?, fly? } — pans there (or fits bounds) whenever a new
+ *   object is passed; fly animates the move
+ * - initialView: { center, zoom } | null — start view (shared link); beats the remembered one
+ * - onViewChange({ center, zoom }): called after every move and once on start
+ * - hoverPoint: [lat, lng] | null — position hovered in the detail chart
+ * - route: { latlngs } | null — imported route, drawn below the segments; fitted on change
  */
 function getAdjustedBounds(map, panelOffset) {
   const b = map.getBounds();
@@ -38,10 +53,121 @@ function getAdjustedBounds(map, panelOffset) {
   return [adjustedSouth, b.getWest(), b.getNorth(), b.getEast()];
 }
 
-export default function MapView({ segments, activeId, onBoundsChange, onSegmentClick, bikeProfile, onZoomChange, panelOffset }) {
+// Segments whose start lies this far beyond the viewport (in viewport sizes) are not drawn
+const CULL_PADDING = 0.5;
+// Start markers are clustered below this zoom
+const CLUSTER_BELOW_ZOOM = 14;
+const CLUSTER_CELL_SIZE = 60; // px
+// Fitting a searched place's bounds stops here, so a single street is not filling the screen
+const FOCUS_MAX_ZOOM = 16;
+// Polyline detail per zoom bucket: Douglas–Peucker tolerance in m, about one
+// screen pixel at the bucket's lowest zoom, so the simplification stays invisible
+const SIMPLIFY_LEVELS = [
+  { minZoom: 16, tolerance: 0 },
+  { minZoom: 14, tolerance: 5 },
+  { minZoom: 12, tolerance: 20 },
+  { minZoom: 0, tolerance: 60 },
+];
+
+function simplifyLevel(zoom) {
+  return SIMPLIFY_LEVELS.findIndex((level) => zoom >= level.minZoom);
+}
+
+// Last map view ({ center: [lat, lng], zoom }) or null
+function loadLastView() {
+  try {
+    const view = JSON.parse(localStorage.getItem(LS_MAP_VIEW));
+    return Array.isArray(view?.center) && Number.isFinite(view.zoom) ? view : null;
+  } catch {
+    return null;
+  }
+}
+
+// Start-marker outline of pinned targets
+const COLOR_TARGET_RING = '#F59E0B';
+const COLOR_ROUTE = '#3B82F6';
+
+function styleLayers({ polyline, marker }, color, isActive, isTarget) {
+  polyline.setStyle({
+    color: isActive ? COLOR_ACTIVE : color,
+    weight: isActive ? 5 : 3,
+    opacity: isActive ? 1 : 0.8,
+  });
+  marker.setStyle({
+    fillColor: isActive ? COLOR_ACTIVE : color,
+    color: isTarget ? COLOR_TARGET_RING : '#fff',
+    weight: isTarget ? 3 : 1.5,
+  });
+  marker.setRadius(isActive ? 7 : 5);
+  if (isActive) {
+    polyline.bringToFront();
+    marker.bringToFront();
+  }
+}
+
+/**
+ * Cluster marker showing the segment count, ringed in the hardest and
+ * filled with the easiest member's difficulty colour. Click zooms in.
+ */
+function createClusterMarker(map, group) {
+  const { best, worst } = ratingRange(group);
+  const starts = group.map(({ seg }) => seg.data.start_latlng);
+  const bounds = L.latLngBounds(starts);
+
+  const icon = L.divIcon({
+    className: 'map-cluster',
+    html:
+      `<span style="background:${best?.color || COLOR_UNRATED};` +
+      `border-color:${worst?.color || COLOR_UNRATED}">${group.length}</span>`,
+    iconSize: [32, 32],
+  });
+  const marker = L.marker(bounds.getCenter(), { icon });
+
+  const range = best ? (best === worst ? best.label : `${best.label} – ${worst.label}`) : 'ohne Bewertung';
+  marker.bindTooltip(`${group.length} Segmente · ${range}`, {
+    className: 'segment-tooltip',
+    direction: 'top',
+    offset: [0, -16],
+  });
+  marker.on('click', () => {
+    if (bounds.getNorthEast().equals(bounds.getSouthWest())) {
+      map.setView(bounds.getCenter(), CLUSTER_BELOW_ZOOM);
+    } else {
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: CLUSTER_BELOW_ZOOM });
+    }
+  });
+  return marker;
+}
+
+function createLegend() {
+  const legend = L.control({ position: 'topright' });
+  legend.onAdd = () => {
+    const div = L.DomUtil.create('div', 'map-legend');
+    const rows = [
+      ...[...DIFFICULTY_CLASSES].reverse().map((c) => [c.color, c.label]),
+      [COLOR_UNRATED, 'Ohne Bewertung'],
+      [COLOR_ACTIVE, 'Ausgewählt'],
+    ];
+    for (const [color, label] of rows) {
+      const row = L.DomUtil.create('div', 'map-legend-row', div);
+      const swatch = L.DomUtil.create('span', 'map-legend-swatch', row);
+      swatch.style.background = color;
+      L.DomUtil.create('span', '', row).textContent = label;
+    }
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  };
+  return legend;
+}
+
+export default function MapView({ segments, activeId, onBoundsChange, onSegmentClick, visibleIds, ratings, targetIds, onToggleTarget, focus, initialView, onViewChange, hoverPoint, route, onZoomChange, panelOffset }) {
   const mapRef = useRef(null);         // Leaflet Map instance
   const containerRef = useRef(null);   // DOM element
-  const layersRef = useRef({});        // segmentId -> { polyline, marker }
+  const layersRef = useRef({});        // segmentId -> { polyline, marker }, created on first view
+  const rendererRef = useRef(null);    // Shared L.Canvas renderer
+  const clustersRef = useRef(null);    // L.LayerGroup of cluster markers
+  const hoverMarkerRef = useRef(null); // Marker for the detail chart's hover position
+  const routeLayerRef = useRef(null);  // Imported route
   const debounceRef = useRef(null);
   const panelOffsetRef = useRef(panelOffset || 0);
   panelOffsetRef.current = panelOffset || 0;
@@ -50,19 +176,35 @@ export default function MapView({ segments, activeId, onBoundsChange, onSegmentC
   useEffect(() => {
     if (mapRef.current) return; // already initialized
 
+    // Open a shared view, else reopen where the last session ended; otherwise start from geolocation
+    const lastView = initialView || loadLastView();
     const map = L.map(containerRef.current, {
       zoomControl: true,
       attributionControl: true,
-    }).setView(DEFAULT_CENTER, DEFAULT_ZOOM);
+    }).setView(lastView?.center || DEFAULT_CENTER, lastView?.zoom || DEFAULT_ZOOM);
 
     L.tileLayer(TILE_URL, {
       attribution: TILE_ATTRIBUTION,
       subdomains: 'abcd',
       maxZoom: 19,
+      // CORS responses keep tiles non-opaque, so the service worker can cache them at real size
+      crossOrigin: true,
     }).addTo(map);
 
+    createLegend().addTo(map);
+
+    // One canvas for all segments instead of an SVG element each
+    rendererRef.current = L.canvas({ padding: 0.5 });
+    clustersRef.current = L.layerGroup().addTo(map);
+    map.on('zoomend moveend', () => renderRef.current());
+
     // Debounced move handler
     map.on('moveend', () => {
+      const center = map.getCenter();
+      const view = { center: [center.lat, center.lng], zoom: map.getZoom() };
+      localStorage.setItem(LS_MAP_VIEW, JSON.stringify(view));
+      viewCallbackRef.current?.(view);
+
       clearTimeout(debounceRef.current);
       debounceRef.current = setTimeout(() => {
         if (map.getZoom() < MIN_ZOOM_FOR_SEGMENTS) return;
@@ -70,10 +212,11 @@ export default function MapView({ segments, activeId, onBoundsChange, onSegmentC
       }, MOVE_DEBOUNCE);
     });
 
-    // Try geolocation
-    map.locate({ setView: true, maxZoom: 14 });
+    if (!lastView) map.locate({ setView: true, maxZoom: 14 });
 
     mapRef.current = map;
+    const center = map.getCenter();
+    viewCallbackRef.current?.({ center: [center.lat, center.lng], zoom: map.getZoom() });
 
     // Trigger initial load
     setTimeout(() => {
@@ -89,48 +232,23 @@ export default function MapView({ segments, activeId, onBoundsChange, onSegmentC
   // Keep onBoundsChange ref stable for the effect above
   const boundsCallbackRef = useRef(onBoundsChange);
   boundsCallbackRef.current = onBoundsChange;
+  const viewCallbackRef = useRef(onViewChange);
+  viewCallbackRef.current = onViewChange;
 
-  // ── Sync segments to map layers ─────────────────────────────────
-  useEffect(() => {
+  // ── Render segments ─────────────────────────────────────────────
+  // One pass decides, per segment, whether it is drawn at all (filters,
+  // viewport culling), whether its start marker is folded into a cluster,
+  // and how it is styled. Layers are created lazily on first view.
+  function renderSegments() {
     const map = mapRef.current;
     if (!map) return;
 
-    // Add new segments
-    for (const [id, seg] of Object.entries(segments)) {
-      if (layersRef.current[id]) continue; // already drawn
-
-      const coords = decodePolyline(seg.data.points);
-
-      const polyline = L.polyline(coords, {
-        color: COLOR_DEFAULT,
-        weight: 3,
-        opacity: 0.8,
-      }).addTo(map);
-
-      const marker = L.circleMarker(seg.data.start_latlng, {
-        radius: 5,
-        fillColor: COLOR_DEFAULT,
-        fillOpacity: 1,
-        stroke: true,
-        color: '#fff',
-        weight: 1.5,
-      }).addTo(map);
-
-      marker.bindTooltip(seg.data.name, {
-        className: 'segment-tooltip',
-        direction: 'top',
-        offset: [0, -8],
-      });
-
-      // Click handlers
-      const handleClick = () => onSegmentClick(Number(id));
-      polyline.on('click', handleClick);
-      marker.on('click', handleClick);
-
-      layersRef.current[id] = { polyline, marker };
-    }
+    const zoom = map.getZoom();
+    const level = simplifyLevel(zoom);
+    const padded = map.getBounds().pad(CULL_PADDING);
+    const view = [padded.getSouth(), padded.getWest(), padded.getNorth(), padded.getEast()];
 
-    // Remove segments that no longer exist (e.g. after clearAll)
+    // Drop segments that no longer exist (e.g. after clearAll)
     for (const id of Object.keys(layersRef.current)) {
       if (!segments[id]) {
         layersRef.current[id].polyline.remove();
@@ -138,46 +256,193 @@ export default function MapView({ segments, activeId, onBoundsChange, onSegmentC
         delete layersRef.current[id];
       }
     }
-  }, [segments, onSegmentClick]);
 
-  // ── Show/hide layers based on bike profile ──────────────────────
-  useEffect(() => {
-    const map = mapRef.current;
-    if (!map) return;
-    for (const [id, layers] of Object.entries(layersRef.current)) {
-      const seg = segments[id];
-      if (!seg) continue;
-      const isVisible = bikeProfile === 'mtb' || seg.surface !== 'unpaved';
-      if (isVisible) {
-        if (!map.hasLayer(layers.polyline)) layers.polyline.addTo(map);
+    const shown = [];
+    for (const [id, seg] of Object.entries(segments)) {
+      const isActive = Number(id) === activeId;
+      const inView = visibleIds.has(id) && (isActive || boundsContain(view, seg.data.start_latlng));
+      let layers = layersRef.current[id];
+
+      if (!inView) {
+        layers?.polyline.remove();
+        layers?.marker.remove();
+        continue;
+      }
+
+      if (!layers) {
+        layers = createLayers(id, seg);
+        layersRef.current[id] = layers;
+      }
+      setDetail(layers, level);
+      if (!map.hasLayer(layers.polyline)) layers.polyline.addTo(map);
+      styleLayers(layers, ratings[id]?.color || COLOR_UNRATED, isActive, targetIds.has(id));
+      shown.push({ id, seg, layers, isActive, rating: ratings[id] });
+    }
+
+    // Start markers: one per segment when zoomed in, grid clusters below
+    const clusters = clustersRef.current;
+    clusters.clearLayers();
+    const groups = zoom >= CLUSTER_BELOW_ZOOM
+      ? shown.map((item) => [item])
+      : [
+          ...clusterByGrid(
+            shown.filter((item) => !item.isActive),
+            (item) => map.project(item.seg.data.start_latlng, zoom),
+            CLUSTER_CELL_SIZE
+          ),
+          ...shown.filter((item) => item.isActive).map((item) => [item]),
+        ];
+
+    for (const group of groups) {
+      if (group.length === 1) {
+        const { layers, isActive } = group[0];
         if (!map.hasLayer(layers.marker)) layers.marker.addTo(map);
-      } else {
-        layers.polyline.remove();
-        layers.marker.remove();
+        if (isActive) layers.marker.bringToFront();
+        continue;
       }
+      group.forEach(({ layers }) => layers.marker.remove());
+      clusters.addLayer(createClusterMarker(map, group));
     }
-  }, [bikeProfile, segments]);
+  }
+
+  // Swap in the polyline simplified for this zoom bucket; each bucket is
+  // computed once per segment
+  function setDetail(layers, level) {
+    if (layers.level === level) return;
+    if (!layers.simplified[level]) {
+      const { tolerance } = SIMPLIFY_LEVELS[level];
+      layers.simplified[level] = tolerance > 0 ? simplifyPolyline(layers.coords, tolerance) : layers.coords;
+    }
+    layers.polyline.setLatLngs(layers.simplified[level]);
+    layers.level = level;
+  }
+
+  function createLayers(id, seg) {
+    const renderer = rendererRef.current;
+    const coords = decodePolyline(seg.data.points);
+    // Simplification is done per zoom bucket (setDetail), not by Leaflet on every redraw
+    const polyline = L.polyline([], {
+      renderer,
+      weight: 3,
+      opacity: 0.8,
+      smoothFactor: 0,
+    });
+
+    const marker = L.circleMarker(seg.data.start_latlng, {
+      renderer,
+      radius: 5,
+      fillOpacity: 1,
+      stroke: true,
+      color: '#fff',
+      weight: 1.5,
+    });
+
+    marker.bindTooltip(seg.data.name, {
+      className: 'segment-tooltip',
+      direction: 'top',
+      offset: [0, -8],
+    });
+
+    // Built on open so the pin state is current
+    marker.bindPopup(() => createPopupContent(id, seg), { className: 'segment-popup', offset: [0, -4] });
+
+    // Click handlers
+    const handleClick = () => segmentClickRef.current(Number(id));
+    polyline.on('click', handleClick);
+    marker.on('click', handleClick);
+
+    return { polyline, marker, coords, simplified: [], level: null };
+  }
+
+  function createPopupContent(id, seg) {
+    const div = L.DomUtil.create('div', 'segment-popup-content');
+    L.DomUtil.create('div', 'segment-popup-name', div).textContent = seg.data.name;
+    const button = L.DomUtil.create('button', 'segment-popup-btn', div);
+    button.textContent = targetIdsRef.current.has(id) ? 'Ziel entfernen' : 'Als Ziel merken';
+    L.DomEvent.on(button, 'click', (e) => {
+      L.DomEvent.stopPropagation(e);
+      toggleTargetRef.current?.(Number(id));
+      mapRef.current?.closePopup();
+    });
+    return div;
+  }
+
+  const renderRef = useRef(renderSegments);
+  renderRef.current = renderSegments;
+
+  const segmentClickRef = useRef(onSegmentClick);
+  segmentClickRef.current = onSegmentClick;
 
-  // ── Highlight active segment ────────────────────────────────────
+  const targetIdsRef = useRef(targetIds);
+  targetIdsRef.current = targetIds;
+  const toggleTargetRef = useRef(onToggleTarget);
+  toggleTargetRef.current = onToggleTarget;
+
+  useEffect(() => {
+    renderSegments();
+  }, [segments, visibleIds, ratings, activeId, targetIds]);
+
+  // ── Pan to a requested position (e.g. a target elsewhere) ───────
   useEffect(() => {
     const map = mapRef.current;
-    for (const [id, layers] of Object.entries(layersRef.current)) {
-      if (!map?.hasLayer(layers.polyline)) continue; // skip hidden layers
-      const isActive = Number(id) === activeId;
-      layers.polyline.setStyle({
-        color: isActive ? COLOR_ACTIVE : COLOR_DEFAULT,
-        weight: isActive ? 5 : 3,
-        opacity: isActive ? 1 : 0.8,
+    if (!focus || !map) return;
+    if (focus.bounds) {
+      const [swLat, swLng, neLat, neLng] = focus.bounds;
+      map[focus.fly ? 'flyToBounds' : 'fitBounds']([[swLat, swLng], [neLat, neLng]], {
+        paddingTopLeft: [40, 40],
+        paddingBottomRight: [40, 40 + panelOffsetRef.current],
+        maxZoom: FOCUS_MAX_ZOOM,
       });
-      layers.marker.setStyle({ fillColor: isActive ? COLOR_ACTIVE : COLOR_DEFAULT });
-      layers.marker.setRadius(isActive ? 7 : 5);
+    } else {
+      const zoom = focus.zoom ?? Math.max(map.getZoom(), CLUSTER_BELOW_ZOOM);
+      map[focus.fly ? 'flyTo' : 'setView'](focus.latlng, zoom);
+    }
+  }, [focus]);
 
-      if (isActive) {
-        layers.polyline.bringToFront();
-        layers.marker.bringToFront();
-      }
+  // ── Imported route ──────────────────────────────────────────────
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    routeLayerRef.current?.remove();
+    routeLayerRef.current = null;
+    if (!route) return;
+
+    // Own SVG pane below the segment canvas, so segments stay clickable
+    if (!map.getPane('route')) map.createPane('route').style.zIndex = 350;
+    routeLayerRef.current = L.polyline(route.latlngs, {
+      pane: 'route',
+      color: COLOR_ROUTE,
+      weight: 8,
+      opacity: 0.35,
+      interactive: false,
+    }).addTo(map);
+    map.fitBounds(routeLayerRef.current.getBounds(), {
+      paddingTopLeft: [40, 40],
+      paddingBottomRight: [40, 40 + panelOffsetRef.current],
+    });
+  }, [route]);
+
+  // ── Mark the position hovered in the detail chart ───────────────
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (!hoverPoint) {
+      hoverMarkerRef.current?.remove();
+      return;
+    }
+    if (!hoverMarkerRef.current) {
+      hoverMarkerRef.current = L.circleMarker(hoverPoint, {
+        radius: 6,
+        color: '#fff',
+        weight: 2,
+        fillColor: COLOR_ACTIVE,
+        fillOpacity: 1,
+        interactive: false,
+      });
     }
-  }, [activeId]);
+    hoverMarkerRef.current.setLatLng(hoverPoint);
+    if (!map.hasLayer(hoverMarkerRef.current)) hoverMarkerRef.current.addTo(map);
+  }, [hoverPoint]);
 
   // ── Expose invalidateSize for parent (panel toggle) ─────────────
   // The parent can call this via a ref if needed; for now we also
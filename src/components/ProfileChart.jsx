@@ -0,0 +1,95 @@
+import React, { useMemo, useState } from 'react';
+import { gradeColor, pointAtDistance } from '../lib/segmentProfile.js';
+
+const W = 320;
+const H = 120;
+const PAD_TOP = 8;
+
+/**
+ * Elevation profile filled by grade. Hovering reads out distance, altitude
+ * and grade at that spot and reports the point's position to onHover, so
+ * the map can mark it; null when the pointer leaves.
+ */
+export default function ProfileChart({ points, sections, onHover }) {
+  const [hover, setHover] = useState(null);
+
+  const geometry = useMemo(() => {
+    const d0 = points[0].distance;
+    const length = points[points.length - 1].distance - d0 || 1;
+    const altitudes = points.map((p) => p.altitude);
+    const minAlt = Math.min(...altitudes);
+    const range = Math.max(...altitudes) - minAlt || 1;
+    const x = (d) => ((d - d0) / length) * W;
+    const y = (alt) => PAD_TOP + (1 - (alt - minAlt) / range) * (H - PAD_TOP);
+
+    // One filled band per section, coloured by its grade
+    const bands = [];
+    let i = 0;
+    for (const section of sections) {
+      const band = [];
+      while (i < points.length - 1 && points[i + 1].distance <= section.end) {
+        band.push(points[i]);
+        i++;
+      }
+      band.push(points[i]);
+      if (band.length < 2) continue;
+      const line = band.map((p) => `${x(p.distance)},${y(p.altitude)}`).join(' ');
+      bands.push({
+        key: section.start,
+        color: gradeColor(section.grade),
+        polygon: `${x(band[0].distance)},${H} ${line} ${x(band[band.length - 1].distance)},${H}`,
+      });
+    }
+
+    const outline = points.map((p) => `${x(p.distance)},${y(p.altitude)}`).join(' ');
+    return { d0, length, minAlt, maxAlt: minAlt + range, x, y, bands, outline };
+  }, [points, sections]);
+
+  function handleMove(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const point = pointAtDistance(points, geometry.d0 + ratio * geometry.length);
+    const section = sections.find((s) => point.distance < s.end) || sections[sections.length - 1];
+    setHover({ point, grade: section?.grade ?? null });
+    onHover?.(point.latlng || null);
+  }
+
+  // A finger lifting also leaves — keep the tapped point on touch screens
+  function handleLeave(e) {
+    if (e.pointerType === 'touch') return;
+    setHover(null);
+    onHover?.(null);
+  }
+
+  return (
+    <div className="profile-chart">
+      <div className="profile-chart-readout">
+        {hover
+          ? `${((hover.point.distance - geometry.d0) / 1000).toFixed(2)} km · ${Math.round(hover.point.altitude)} m` +
+            (hover.grade != null ? ` · ${hover.grade.toFixed(1)} %` : '')
+          : `${Math.round(geometry.minAlt)} – ${Math.round(geometry.maxAlt)} m`}
+      </div>
+      <svg
+        viewBox={`0 0 ${W} ${H}`}
+        preserveAspectRatio="none"
+        onPointerDown={handleMove}
+        onPointerMove={handleMove}
+        onPointerLeave={handleLeave}
+      >
+        {geometry.bands.map((band) => (
+          <polygon key={band.key} points={band.polygon} fill={band.color} fillOpacity="0.55" />
+        ))}
+        <polyline points={geometry.outline} fill="none" className="profile-chart-line" />
+        {hover && (
+          <line
+            x1={geometry.x(hover.point.distance)}
+            x2={geometry.x(hover.point.distance)}
+            y1={0}
+            y2={H}
+            className="profile-chart-cursor"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { getSegmentDifficulty } from '../lib/segmentDifficulty.js';
+
+/**
+ * Segments on the imported route, in ride order, each with the distance
+ * into the ride where it starts and its difficulty for the current settings.
+ */
+export default function RoutePanel({
+  route,
+  matches,
+  progress,
+  segments,
+  activeId,
+  genderType,
+  riderMass,
+  bikeProfile,
+  powerProfile,
+  wind,
+  bottomOffset = 0,
+  onSelect,
+  onClose,
+}) {
+  const exploring = progress && !progress.done;
+  const incomplete = progress?.done && !progress.unavailable && !progress.failed && progress.explored < progress.total;
+
+  return (
+    <div className="route-panel" style={{ maxHeight: `calc(100% - ${bottomOffset + 24}px)` }}>
+      <div className="detail-header">
+        <div className="detail-title" title={route.name}>{route.name}</div>
+        <button className="detail-close" onClick={onClose} title="Route entfernen">✕</button>
+      </div>
+
+      <div className="detail-summary">
+        <span>{(route.length / 1000).toFixed(1)} km</span>
+        <span>{matches.length} Segment{matches.length !== 1 ? 'e' : ''}</span>
+      </div>
+
+      {exploring && (
+        <div className="route-progress">
+          <span className="loading-spinner" /> Suche entlang der Route… {progress.explored}/{progress.total}
+        </div>
+      )}
+      {progress?.unavailable && (
+        <p className="detail-hint">
+          Offline oder nicht mit Strava verbunden — die Route wurde nicht durchsucht.
+          Später erneut importieren.
+        </p>
+      )}
+      {progress?.failed && (
+        <p className="detail-hint">
+          Suche entlang der Route fehlgeschlagen. Später erneut importieren.
+        </p>
+      )}
+      {incomplete && (
+        <p className="detail-hint">
+          API-Budget erreicht — {progress.explored} von {progress.total} Abschnitten durchsucht.
+          Später erneut importieren, um den Rest zu laden.
+        </p>
+      )}
+
+      <div className="route-list">
+        {matches.map(({ id, startDistance }) => {
+          const segment = segments[id];
+          if (!segment) return null;
+          const difficulty = getSegmentDifficulty(segment, riderMass, genderType, bikeProfile, powerProfile, wind);
+          return (
+            <button
+              key={id}
+              className={`route-row ${Number(id) === activeId ? 'active' : ''}`}
+              onClick={() => onSelect(Number(id))}
+            >
+              <span className="route-km">km {(startDistance / 1000).toFixed(1)}</span>
+              <span className="route-name" title={segment.data.name}>{segment.data.name}</span>
+              {difficulty.isValid ? (
+                <span
+                  className="route-score"
+                  style={{ backgroundColor: difficulty.difficultyClass.color }}
+                  title={difficulty.difficultyClass.label}
+                >
+                  {Math.round(difficulty.difficultyScore)}%
+                </span>
+              ) : (
+                <span className="route-score route-score-unknown">—</span>
+              )}
+            </button>
+          );
+        })}
+        {!exploring && matches.length === 0 && (
+          <p className="detail-hint">Keine Segmente auf dieser Route gefunden.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { parseSearchQuery, loadRecentSearches, addRecentSearch } from '../lib/search.js';
+import { getGeocoder } from '../lib/geocoding.js';
+
+/**
+ * Top-bar search for a place, coordinates ("47.37, 8.54") or a Strava
+ * segment (ID, URL or "segment <ID>"). Places go through the geocoder on submit and are
+ * listed to pick from; coordinates and segments are picked directly.
+ * With an empty field the list shows the recent picks.
+ *
+ * Props:
+ * - onPick(pick): async; pick is { label, latlng?, bounds?, segmentId? }.
+ *   Resolves to the label to remember (e.g. the segment's name), or null
+ *   when nothing was found — the caller reports that itself.
+ */
+export default function SearchBox({ onPick }) {
+  const [text, setText] = useState('');
+  const [open, setOpen] = useState(false);
+  const [results, setResults] = useState(null); // geocoder results; null = show recent
+  const [message, setMessage] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [recent, setRecent] = useState(loadRecentSearches);
+  const rootRef = useRef(null);
+
+  // Close on a click anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const handleDown = (e) => !rootRef.current.contains(e.target) && setOpen(false);
+    document.addEventListener('pointerdown', handleDown);
+    return () => document.removeEventListener('pointerdown', handleDown);
+  }, [open]);
+
+  async function pick(item) {
+    setBusy(true);
+    const label = await onPick(item);
+    setBusy(false);
+    if (!label) return;
+    setRecent(addRecentSearch({ ...item, label }));
+    setText('');
+    setResults(null);
+    setMessage(null);
+    setOpen(false);
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const query = parseSearchQuery(text);
+    if (!query || busy) return;
+    setMessage(null);
+
+    if (query.type === 'segment') {
+      pick({ label: `Segment ${query.segmentId}`, segmentId: query.segmentId });
+      return;
+    }
+    if (query.type === 'coordinates') {
+      pick({ label: query.latlng.map((c) => c.toFixed(5)).join(', '), latlng: query.latlng });
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const places = await getGeocoder().search(query.query);
+      setResults(places);
+      if (places.length === 0) setMessage('Keine Treffer.');
+    } catch (err) {
+      console.warn('Place search failed:', err);
+      setResults([]);
+      setMessage('Ortssuche fehlgeschlagen.');
+    } finally {
+      setBusy(false);
+      setOpen(true);
+    }
+  }
+
+  const items = results ?? recent;
+
+  return (
+    <form className="search" ref={rootRef} onSubmit={handleSubmit}>
+      <input
+        className="search-input"
+        type="search"
+        value={text}
+        placeholder="Ort, Koordinaten oder Segment"
+        title="Ort, Koordinaten (47.37, 8.54) oder Strava-Segment (ID ab 6 Stellen, „segment 12345“ oder Link) — Enter zum Suchen"
+        onChange={(e) => {
+          setText(e.target.value);
+          setResults(null);
+          setMessage(null);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+      />
+      {busy && <span className="loading-spinner search-spinner" />}
+
+      {open && (items.length > 0 || message) && (
+        <div className="search-results">
+          {results == null && <div className="search-heading">Zuletzt gesucht</div>}
+          {items.map((item, i) => (
+            <button key={`${item.label}-${i}`} type="button" className="search-result" onClick={() => pick(item)}>
+              <span className="search-result-kind">{item.segmentId != null ? 'Segment' : 'Ort'}</span>
+              <span className="search-result-label" title={item.label}>{item.label}</span>
+            </button>
+          ))}
+          {message && <div className="search-message">{message}</div>}
+        </div>
+      )}
+    </form>
+  );
+}
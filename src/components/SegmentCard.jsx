@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { parseKomTime } from '../lib/segmentDifficulty.js';
+import { EXPORT_FORMATS } from '../lib/segmentExport.js';
+import { formatDistance, formatDuration } from '../lib/format.js';
 
 const REFRESH_MIN_AGE_DAYS = 7;
 
-export default function SegmentCard({ segment, difficulty, isActive, onClick, genderType, onRefresh }) {
+export default function SegmentCard({ segment, difficulty, isActive, onClick, genderType, personalRecord, showWind, onRefresh, isTarget, onToggleTarget, onExport }) {
   const [refreshing, setRefreshing] = useState(false);
   const { data, details } = segment;
-  const { komPower, komPowerWKg, difficultyClass, isValid } = difficulty;
+  const { komPower, komPowerWKg, difficultyScore, difficultyClass, isValid, windEffect } = difficulty;
 
   const dist = details?.distance || data.distance;
   const distStr = formatDistance(dist);
@@ -49,6 +51,15 @@ export default function SegmentCard({ segment, difficulty, isActive, onClick, ge
         <div className="seg-name" title={data.name}>
           {data.name}
         </div>
+        {onToggleTarget && (
+          <button
+            className={`seg-target-btn ${isTarget ? 'seg-target-btn-active' : ''}`}
+            onClick={(e) => { e.stopPropagation(); onToggleTarget(); }}
+            title={isTarget ? 'Ziel entfernen' : 'Als Ziel merken'}
+          >
+            <FlagIcon filled={isTarget} />
+          </button>
+        )}
         <div className="seg-star" onClick={(e) => e.stopPropagation()}>
           <svg
             className="seg-star-icon"
@@ -81,9 +92,26 @@ export default function SegmentCard({ segment, difficulty, isActive, onClick, ge
           style={{ backgroundColor: difficultyClass.color + '4D' }}
         >
           ~ {komPower.toFixed(0)} W  für {komQomTime}
+          <span
+            className="seg-capacity-badge"
+            style={{ backgroundColor: difficultyClass.color }}
+            title={`${komPowerWKg.toFixed(1)} W/kg — ${Math.round(difficultyScore)} % deiner Kapazität für diese Dauer`}
+          >
+            {Math.round(difficultyScore)}%
+          </span>
+        </div>
+      )}
+
+      {isValid && showWind && Math.round(windEffect) !== 0 && (
+        <div className={`seg-wind ${windEffect < 0 ? 'seg-wind-tail' : 'seg-wind-head'}`}>
+          {windEffect < 0 ? 'Rückenwind' : 'Gegenwind'}: {windEffect > 0 ? '+' : '−'}{Math.abs(Math.round(windEffect))} W
         </div>
       )}
 
+      {personalRecord && <PersonalRecord gap={personalRecord} label={isQueen ? 'QOM' : 'KOM'} />}
+
+      <XomTrend history={segment.xomHistory?.[isQueen ? 'qom' : 'kom']} label={isQueen ? 'QOM' : 'KOM'} />
+
       {extractedStr && (
         <div className="seg-extracted">
           <span className="seg-extracted-date">Aktualisiert: {extractedStr}</span>
@@ -100,6 +128,16 @@ export default function SegmentCard({ segment, difficulty, isActive, onClick, ge
         </div>
       )}
 
+      {onExport && (
+        <div className="seg-export" onClick={(e) => e.stopPropagation()}>
+          {EXPORT_FORMATS.map((f) => (
+            <button key={f.key} className="seg-export-btn" onClick={() => onExport(f.key)} title={`Als ${f.label} exportieren`}>
+              {f.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {stravaHref && (
         <a
           className="seg-strava-link"
@@ -124,6 +162,76 @@ function Stat({ label, value }) {
   );
 }
 
+/**
+ * The rider's own best time with the power it took, and how far it is from
+ * the KOM/QOM in seconds and watts.
+ */
+function PersonalRecord({ gap, label }) {
+  const { prSeconds, prPower, gapSeconds, powerToAdd, effortCount } = gap;
+  const ahead = gapSeconds != null && gapSeconds <= 0;
+
+  return (
+    <div className="seg-pr" title={`${effortCount} Versuch${effortCount !== 1 ? 'e' : ''}`}>
+      <span>PR {formatDuration(prSeconds)} · ~ {Math.round(prPower)} W</span>
+      {gapSeconds != null && (
+        <span className={ahead ? 'seg-pr-ahead' : 'seg-pr-gap'}>
+          {ahead
+            ? `${label} geholt`
+            : `+${gapSeconds} s · +${Math.round(powerToAdd)} W zum ${label}`}
+        </span>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Sparkline + one-line summary of how the KOM/QOM moved since it was first
+ * recorded. Hidden until there are at least two distinct times.
+ */
+function XomTrend({ history, label }) {
+  const points = (history || []).filter((h) => h.seconds != null);
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const delta = first.seconds - last.seconds;
+  const since = formatMonth(first.first_seen_at);
+  const text =
+    delta > 0
+      ? `${label} ${delta} s schneller seit ${since}`
+      : delta < 0
+        ? `${label} ${-delta} s langsamer seit ${since}`
+        : `${label} unverändert seit ${since}`;
+
+  const W = 60;
+  const H = 16;
+  const values = points.map((p) => p.seconds);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const path = values
+    .map((v, i) => `${(i / (values.length - 1)) * W},${(1 - (v - min) / range) * (H - 2) + 1}`)
+    .join(' ');
+
+  return (
+    <div className="seg-xom-trend" title={points.map((p) => `${formatDate(p.first_seen_at)}: ${p.time}`).join('\n')}>
+      {/* Faster times plot lower — a falling line means the segment is getting hotter */}
+      <svg className="seg-xom-spark" viewBox={`0 0 ${W} ${H}`} width={W} height={H}>
+        <polyline points={path} fill="none" strokeWidth="1.5" />
+      </svg>
+      <span className={delta > 0 ? 'seg-xom-hot' : ''}>{text}</span>
+    </div>
+  );
+}
+
+function FlagIcon({ filled }) {
+  return (
+    <svg viewBox="0 0 24 24" width="14" height="14" fill={filled ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinejoin="round">
+      <path d="M4 22V4" />
+      <path d="M4 4h13l-2.5 4.5L17 13H4" />
+    </svg>
+  );
+}
+
 function RefreshIcon() {
   return (
     <svg viewBox="0 0 24 24" width="13" height="13" fill="none" stroke="currentColor" strokeWidth="2">
@@ -134,12 +242,6 @@ function RefreshIcon() {
   );
 }
 
-function formatDistance(meters) {
-  if (meters == null) return '—';
-  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
-  return `${Math.round(meters)} m`;
-}
-
 function formatDate(unixSecs) {
   const d = new Date(unixSecs * 1000);
   const dd = String(d.getDate()).padStart(2, '0');
@@ -148,6 +250,11 @@ function formatDate(unixSecs) {
   return `${dd}.${mm}.${yy}`;
 }
 
+function formatMonth(unixSecs) {
+  const d = new Date(unixSecs * 1000);
+  return `${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+}
+
 function isOlderThan(unixSecs, days) {
   return (Math.floor(Date.now() / 1000) - unixSecs) > days * 86400;
 }
@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo } from 'react';
+import ProfileChart from './ProfileChart.jsx';
+import WhatIfPanel from './WhatIfPanel.jsx';
+import { getDetailDifficulty, parseKomTime } from '../lib/segmentDifficulty.js';
+import { getProfilePoints, getChartSections, gradeHistogram, maxGrade, gradeColor } from '../lib/segmentProfile.js';
+import { windAt } from '../lib/wind.js';
+import { formatDistance } from '../lib/format.js';
+
+const BREAKDOWN_ROWS = [
+  ['gravity', 'Steigung'],
+  ['rolling', 'Rollwiderstand'],
+  ['aero', 'Luftwiderstand'],
+];
+
+/**
+ * Detail drawer for the selected segment: elevation/grade chart (hover
+ * marks the spot on the map via onHover), grade histogram, where the
+ * KOM/QOM watts go, KOM vs. QOM side by side and a what-if calculator.
+ * Ends above the segment panel (bottomOffset, px).
+ */
+export default function SegmentDrawer({
+  segmentId,
+  segment,
+  genderType,
+  riderMass,
+  bikeProfile,
+  powerProfile,
+  wind,
+  bottomOffset = 0,
+  onHover,
+  onClose,
+}) {
+  const { data, details } = segment;
+
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  // The marker belongs to this segment only
+  useEffect(() => () => onHover?.(null), [segmentId]);
+
+  const { points, fromStream } = useMemo(() => getProfilePoints(segment), [segment]);
+  const sections = useMemo(() => getChartSections(points), [points]);
+  const histogram = useMemo(() => gradeHistogram(sections), [sections]);
+  const steepest = maxGrade(sections);
+  const histogramMax = Math.max(1, ...histogram.map((b) => b.distance));
+
+  // Not redone on hover: with the stream or wind each side is a numeric solve
+  const sides = useMemo(
+    () =>
+      ['king', 'queen'].map((type) => ({
+        type,
+        label: type === 'queen' ? 'QOM' : 'KOM',
+        time: type === 'queen' ? details?.qom_time : details?.kom_time,
+        difficulty: getDetailDifficulty(segment, riderMass, type, bikeProfile, powerProfile, wind),
+      })),
+    [segment, riderMass, bikeProfile, powerProfile, wind]
+  );
+  // Same solve as the "Leistung" row, so the bars add up to its watts
+  const current = sides.find((side) => side.type === genderType).difficulty;
+  const breakdown = current.isValid ? { total: current.komPower, ...current.breakdown } : null;
+  // A provider wind from another grid cell is not applied to this segment
+  const windOutside = !!wind && !windAt(wind, data.start_latlng);
+
+  const distance = details?.distance || data.distance;
+  const elevation = data.elev_difference ?? details?.total_elevation_gain;
+
+  return (
+    <div className="detail-drawer" style={{ maxHeight: `calc(100% - ${bottomOffset + 24}px)` }}>
+      <div className="detail-header">
+        <div className="detail-title" title={data.name}>{data.name}</div>
+        <button className="detail-close" onClick={onClose} title="Schliessen">✕</button>
+      </div>
+
+      <div className="detail-summary">
+        <span>{formatDistance(distance)}</span>
+        <span>Ø {data.avg_grade != null ? `${data.avg_grade.toFixed(1)} %` : '—'}</span>
+        <span>{elevation != null ? `${Math.round(elevation)} Hm` : '—'}</span>
+        <span>max {steepest != null && fromStream ? `${steepest.toFixed(1)} %` : '—'}</span>
+      </div>
+
+      <section className="detail-section">
+        <div className="detail-section-title">Profil</div>
+        {points.length >= 2 ? (
+          <ProfileChart points={points} sections={sections} onHover={onHover} />
+        ) : (
+          <p className="detail-hint">Kein Profil verfügbar.</p>
+        )}
+        {!fromStream && points.length >= 2 && (
+          <p className="detail-hint">Höhendaten werden geladen — bis dahin mittlere Steigung.</p>
+        )}
+      </section>
+
+      {fromStream && histogram.length > 0 && (
+        <section className="detail-section">
+          <div className="detail-section-title">Steigungsverteilung</div>
+          <div className="detail-histogram">
+            {histogram.map((bin) => (
+              <div key={bin.from} className="detail-histogram-row">
+                <span className="detail-histogram-label">{bin.from} – {bin.to} %</span>
+                <span className="detail-histogram-track">
+                  <span
+                    className="detail-histogram-bar"
+                    style={{ width: `${(bin.distance / histogramMax) * 100}%`, background: gradeColor(bin.from) }}
+                  />
+                </span>
+                <span className="detail-histogram-value">{formatDistance(bin.distance)}</span>
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {breakdown && (
+        <section className="detail-section">
+          <div className="detail-section-title">
+            Leistung {genderType === 'queen' ? 'QOM' : 'KOM'} · ~ {Math.round(breakdown.total)} W
+          </div>
+          {BREAKDOWN_ROWS.map(([key, label]) => {
+            const share = breakdown.total > 0 ? Math.max(0, breakdown[key]) / breakdown.total : 0;
+            return (
+              <div key={key} className="detail-breakdown-row">
+                <span className="detail-breakdown-label">{label}</span>
+                <span className="detail-histogram-track">
+                  <span className="detail-histogram-bar detail-breakdown-bar" style={{ width: `${share * 100}%` }} />
+                </span>
+                <span className="detail-histogram-value">{Math.round(breakdown[key])} W</span>
+              </div>
+            );
+          })}
+          <p className="detail-hint">
+            {current.model === 'profile' ? 'Mit Höhenprofil' : 'Mittlere Steigung'}
+            {current.windEffect !== 0 ? ', mit Wind' : windOutside ? ', windstill (Wind nur um die Kartenmitte)' : ', windstill'},
+            {' '}inkl. Antriebsverlust.
+          </p>
+        </section>
+      )}
+
+      <section className="detail-section">
+        <div className="detail-section-title">KOM / QOM</div>
+        <table className="detail-xom">
+          <thead>
+            <tr>
+              <th />
+              {sides.map((side) => (
+                <th key={side.type} className={side.type === genderType ? 'detail-xom-current' : ''}>{side.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <XomRow label="Zeit" sides={sides} value={(s) => s.time || '—'} />
+            <XomRow label="Ø Speed" sides={sides} value={(s) => formatSpeed(distance, s.time)} />
+            <XomRow label="Leistung" sides={sides} value={(s) => (s.difficulty.isValid ? `${Math.round(s.difficulty.komPower)} W` : '—')} />
+            <XomRow label="W/kg" sides={sides} value={(s) => (s.difficulty.isValid ? s.difficulty.komPowerWKg.toFixed(1) : '—')} />
+            <XomRow
+              label="Score"
+              sides={sides}
+              value={(s) => (s.difficulty.isValid ? (
+                <span style={{ color: s.difficulty.difficultyClass.color }}>{Math.round(s.difficulty.difficultyScore)} %</span>
+              ) : '—')}
+            />
+          </tbody>
+        </table>
+        {sides.some((s) => s.difficulty.model === 'profile') && (
+          <p className="detail-hint">Mit Höhenprofil gerechnet — die Liste bewertet alle Segmente mit mittlerer Steigung.</p>
+        )}
+      </section>
+
+      <section className="detail-section">
+        <div className="detail-section-title">Was wäre wenn</div>
+        <WhatIfPanel
+          // Edited values no longer match once the settings they start from change
+          key={`${segmentId}-${riderMass}-${bikeProfile}-${segment.surface}`}
+          segment={segment}
+          genderType={genderType}
+          riderMass={riderMass}
+          bikeProfile={bikeProfile}
+          powerProfile={powerProfile}
+          wind={wind}
+        />
+      </section>
+    </div>
+  );
+}
+
+function XomRow({ label, sides, value }) {
+  return (
+    <tr>
+      <td className="detail-xom-label">{label}</td>
+      {sides.map((side) => <td key={side.type}>{value(side)}</td>)}
+    </tr>
+  );
+}
+
+function formatSpeed(distance, time) {
+  const seconds = parseKomTime(time);
+  return seconds && distance ? `${((distance / seconds) * 3.6).toFixed(1)} km/h` : '—';
+}
@@ -1,11 +1,18 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import SegmentCard from './SegmentCard.jsx';
-import { getSegmentDifficulty } from '../lib/segmentDifficulty.js';
+import FilterBar from './FilterBar.jsx';
+import { compassLabel } from '../lib/wind.js';
+import { activeFilterCount } from '../lib/segmentFilter.js';
+import { getPersonalRecordGap } from '../lib/segmentDifficulty.js';
+import { boundsContain } from '../lib/polyline.js';
+import { EXPORT_FORMATS, exportSegments } from '../lib/segmentExport.js';
+import { SORT_MODES, DEFAULT_SORT, getSortMode, sortSegments } from '../lib/segmentSort.js';
+import { LS_SORT } from '../lib/constants.js';
 
 const SCROLL_AMOUNT = 252; // card width + gap
 
 export default function SegmentPanel({
-  segments,
+  rated,
   activeId,
   onSelect,
   loading,
@@ -13,13 +20,54 @@ export default function SegmentPanel({
   genderType,
   riderMass,
   bikeProfile,
+  records,
+  wind,
+  filters,
+  onFiltersChange,
   onRefreshSegment,
+  targetIds,
+  pinnedEntries,
+  onToggleTarget,
   onHeightChange,
 }) {
   const scrollRef = useRef(null);
   const panelRef = useRef(null);
   const [canLeft, setCanLeft] = useState(false);
   const [canRight, setCanRight] = useState(false);
+  const [sort, setSort] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(LS_SORT)) || DEFAULT_SORT;
+    } catch {
+      return DEFAULT_SORT;
+    }
+  });
+  const [location, setLocation] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const filterCount = activeFilterCount(filters);
+
+  // The tailwind sort falls back to score while there is no wind
+  const effectiveSort = getSortMode(sort.mode).requiresWind && !wind ? DEFAULT_SORT : sort;
+  const sortOptions = SORT_MODES.filter((m) => !m.requiresWind || wind);
+
+  function updateSort(next) {
+    setSort(next);
+    localStorage.setItem(LS_SORT, JSON.stringify(next));
+  }
+
+  // Distance sort asks for the position once; the map centre stands in meanwhile
+  useEffect(() => {
+    if (effectiveSort.mode !== 'nearby' || location || !navigator.geolocation) return;
+    navigator.geolocation.getCurrentPosition(
+      (pos) => setLocation([pos.coords.latitude, pos.coords.longitude]),
+      () => console.warn('Location unavailable, sorting by distance from the map centre')
+    );
+  }, [effectiveSort.mode, location]);
+
+  const origin = useMemo(
+    () => location
+      || (mapBounds ? [(mapBounds[0] + mapBounds[2]) / 2, (mapBounds[1] + mapBounds[3]) / 2] : null),
+    [location, mapBounds]
+  );
 
   useEffect(() => {
     const el = panelRef.current;
@@ -36,28 +84,20 @@ export default function SegmentPanel({
     return () => ro.disconnect();
   }, [onHeightChange]);
 
-  const visible = Object.entries(segments)
-    .filter(([_, s]) => {
-      if (mapBounds) {
-        const [swLat, swLng, neLat, neLng] = mapBounds;
-        const [lat, lng] = s.data.start_latlng;
-        if (!(lat >= swLat && lat <= neLat && lng >= swLng && lng <= neLng)) return false;
-      }
-      if (bikeProfile === 'road' && s.surface === 'unpaved') return false;
-      return true;
-    })
-    .map(([id, seg]) => ({
-      id,
-      seg,
-      difficulty: getSegmentDifficulty(seg, riderMass, genderType, bikeProfile),
-    }));
-
-  visible.sort((a, b) => {
-    if (a.difficulty.isValid !== b.difficulty.isValid) {
-      return a.difficulty.isValid ? -1 : 1;
-    }
-    return (a.difficulty.difficultyScore || 0) - (b.difficulty.difficultyScore || 0);
-  });
+  // Rating and filtering happen upstream; only bounds and order are panel-specific
+  const visible = useMemo(() => {
+    const list = rated.filter(({ seg }) => !mapBounds || boundsContain(mapBounds, seg.data.start_latlng));
+
+    return sortSegments(list, effectiveSort, { genderType, origin, records });
+  }, [rated, mapBounds, effectiveSort, genderType, origin, records]);
+
+  function handleExport(value) {
+    const [scope, format] = value.split(':');
+    exportSegments(scope === 'pinned' ? pinnedEntries : visible, format, {
+      genderType,
+      filename: scope === 'pinned' ? 'ziele' : 'segmente',
+    });
+  }
 
   function updateArrows() {
     const el = scrollRef.current;
@@ -85,40 +125,104 @@ export default function SegmentPanel({
 
   return (
     <div className="panel" ref={panelRef}>
-      <button
-        className={`panel-arrow panel-arrow-left ${canLeft ? '' : 'panel-arrow-hidden'}`}
-        onClick={() => scrollBy(-1)}
-      >&lt;</button>
-
-      <div className="panel-scroll" ref={scrollRef} onScroll={updateArrows}>
-        {loading && visible.length === 0 ? (
-          <div className="status-msg">
-            <span className="loading-spinner" /> Segmente laden…
-          </div>
-        ) : visible.length === 0 ? (
-          <div className="status-msg">
-            Keine Segmente im Sichtbereich. Karte bewegen oder reinzoomen.
-          </div>
-        ) : (
-          visible.map(({ id, seg, difficulty }) => (
-            <div key={id} data-seg-id={id}>
-              <SegmentCard
-                segment={seg}
-                difficulty={difficulty}
-                isActive={Number(id) === activeId}
-                onClick={() => onSelect(Number(id))}
-                genderType={genderType}
-                onRefresh={onRefreshSegment ? () => onRefreshSegment(Number(id)) : undefined}
-              />
-            </div>
-          ))
+      {showFilters && <FilterBar filters={filters} onChange={onFiltersChange} />}
+
+      <div className="panel-toolbar">
+        <button
+          className={`panel-filter-btn ${filterCount > 0 ? 'panel-filter-btn-active' : ''}`}
+          onClick={() => setShowFilters((v) => !v)}
+        >
+          Filter{filterCount > 0 ? ` (${filterCount})` : ''} {showFilters ? '▾' : '▴'}
+        </button>
+        {wind && (
+          <span className="panel-wind" title={wind.cell ? 'Wind um die Kartenmitte — gilt für Segmente, die dort starten' : 'Aktueller Wind'}>
+            Wind {Math.round(wind.speed)} km/h {compassLabel(wind.direction)}
+          </span>
         )}
+        <select
+          className="panel-export"
+          value=""
+          title="Segmente exportieren"
+          onChange={(e) => e.target.value && handleExport(e.target.value)}
+        >
+          <option value="">Export</option>
+          <optgroup label={`Sichtbare (${visible.length})`}>
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.key} value={`visible:${f.key}`} disabled={visible.length === 0}>{f.label}</option>
+            ))}
+          </optgroup>
+          <optgroup label={`Ziele (${pinnedEntries?.length ?? 0})`}>
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.key} value={`pinned:${f.key}`} disabled={!pinnedEntries?.length}>{f.label}</option>
+            ))}
+          </optgroup>
+        </select>
+        <div className="panel-sort">
+          <select
+            className="panel-sort-select"
+            value={effectiveSort.mode}
+            onChange={(e) => {
+              const mode = getSortMode(e.target.value);
+              updateSort({ mode: mode.key, descending: mode.descending });
+            }}
+          >
+            {sortOptions.map((m) => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+          <button
+            className="panel-sort-dir"
+            title={effectiveSort.descending ? 'Absteigend' : 'Aufsteigend'}
+            onClick={() => updateSort({ ...effectiveSort, descending: !effectiveSort.descending })}
+          >
+            {effectiveSort.descending ? '↓' : '↑'}
+          </button>
+        </div>
       </div>
 
-      <button
-        className={`panel-arrow panel-arrow-right ${canRight ? '' : 'panel-arrow-hidden'}`}
-        onClick={() => scrollBy(1)}
-      >&gt;</button>
+      <div className="panel-row">
+        <button
+          className={`panel-arrow panel-arrow-left ${canLeft ? '' : 'panel-arrow-hidden'}`}
+          onClick={() => scrollBy(-1)}
+        >&lt;</button>
+
+        <div className="panel-scroll" ref={scrollRef} onScroll={updateArrows}>
+          {loading && visible.length === 0 ? (
+            <div className="status-msg">
+              <span className="loading-spinner" /> Segmente laden…
+            </div>
+          ) : visible.length === 0 ? (
+            <div className="status-msg">
+              {filterCount > 0
+                ? 'Keine Segmente passen zum Filter.'
+                : 'Keine Segmente im Sichtbereich. Karte bewegen oder reinzoomen.'}
+            </div>
+          ) : (
+            visible.map(({ id, seg, difficulty }) => (
+              <div key={id} data-seg-id={id}>
+                <SegmentCard
+                  segment={seg}
+                  difficulty={difficulty}
+                  isActive={Number(id) === activeId}
+                  onClick={() => onSelect(Number(id))}
+                  genderType={genderType}
+                  personalRecord={getPersonalRecordGap(seg, records?.[id], riderMass, genderType, bikeProfile)}
+                  showWind={!!wind}
+                  onRefresh={onRefreshSegment ? () => onRefreshSegment(Number(id)) : undefined}
+                  isTarget={targetIds?.has(id)}
+                  onToggleTarget={onToggleTarget ? () => onToggleTarget(Number(id)) : undefined}
+                  onExport={(format) => exportSegments([{ id, seg, difficulty }], format, { genderType })}
+                />
+              </div>
+            ))
+          )}
+        </div>
+
+        <button
+          className={`panel-arrow panel-arrow-right ${canRight ? '' : 'panel-arrow-hidden'}`}
+          onClick={() => scrollBy(1)}
+        >&gt;</button>
+      </div>
     </div>
   );
 }
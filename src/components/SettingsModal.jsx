@@ -1,8 +1,14 @@
 import React, { useState } from 'react';
+import { POWER_LEVELS, EFFORT_DURATIONS, fitPowerModel, resolvePowerModel } from '../lib/segmentDifficulty.js';
+import { WIND_PROVIDERS, COMPASS_POINTS } from '../lib/wind.js';
+
+const EFFORT_LABELS = { 5: '5 s', 60: '1 min', 300: '5 min', 1200: '20 min' };
 
 export default function SettingsModal({
   riderMass,
   stravaWeight,
+  powerProfile,
+  windSettings,
   onSave,
   onClose,
   genderType,
@@ -12,10 +18,62 @@ export default function SettingsModal({
   onLogout,
 }) {
   const [input, setInput] = useState(String(riderMass ?? stravaWeight ?? 75));
+  const [powerMode, setPowerMode] = useState(powerProfile?.mode || 'level');
+  const [level, setLevel] = useState(powerProfile?.level || 'good');
+  const [manual, setManual] = useState(() => {
+    const { Pmax, CP, Wprime } = resolvePowerModel(powerProfile);
+    return { Pmax: String(Pmax), CP: String(CP), Wprime: String(Wprime) };
+  });
+  const [efforts, setEfforts] = useState(() =>
+    Object.fromEntries(EFFORT_DURATIONS.map((d) => [d, String(powerProfile?.efforts?.[d] ?? '')]))
+  );
+  const [powerError, setPowerError] = useState(null);
+  const [windMode, setWindMode] = useState(windSettings?.mode || 'off');
+  const [windSpeed, setWindSpeed] = useState(String(windSettings?.speed ?? 15));
+  const [windDirection, setWindDirection] = useState(windSettings?.direction ?? 225);
+  const [windProvider, setWindProvider] = useState(windSettings?.provider || 'open-meteo');
+
+  function buildWindSettings() {
+    if (windMode === 'manual') {
+      return { mode: 'manual', speed: Math.max(0, parseFloat(windSpeed) || 0), direction: windDirection };
+    }
+    if (windMode === 'provider') return { mode: 'provider', provider: windProvider };
+    return { mode: 'off' };
+  }
+
+  function buildPowerProfile(mass) {
+    if (powerMode === 'level') return { mode: 'level', level };
+
+    if (powerMode === 'manual') {
+      const Pmax = parseFloat(manual.Pmax);
+      const CP = parseFloat(manual.CP);
+      const Wprime = parseFloat(manual.Wprime);
+      if (!(CP > 0 && Pmax > CP && Wprime > 0)) {
+        setPowerError('Ungültige Werte: es muss Pmax > CP > 0 und W\' > 0 gelten.');
+        return null;
+      }
+      return { mode: 'manual', Pmax, CP, Wprime };
+    }
+
+    // Best Efforts in Watt → W/kg mit dem eingegebenen Gewicht
+    const watts = Object.fromEntries(
+      EFFORT_DURATIONS.map((d) => [d, parseFloat(efforts[d])]).filter(([, w]) => w > 0)
+    );
+    const model = fitPowerModel(
+      Object.entries(watts).map(([d, w]) => ({ duration: Number(d), power: w / mass }))
+    );
+    if (!model) {
+      setPowerError('Mindestens drei plausible Best Efforts eingeben (kürzere Dauer = höhere Leistung).');
+      return null;
+    }
+    return { mode: 'fit', efforts: watts, ...model };
+  }
 
   function handleSave() {
     const val = parseFloat(input);
-    if (val > 20 && val < 300) onSave(val);
+    if (!(val > 20 && val < 300)) return;
+    const profile = buildPowerProfile(val);
+    if (profile) onSave(val, profile, buildWindSettings());
   }
 
   function handleKey(e) {
@@ -111,13 +169,112 @@ export default function SettingsModal({
 
         <div className="modal-divider" />
 
+        <div className="modal-field">
+          <label className="modal-label">Leistungsprofil</label>
+          <div className="topbar-type-toggle">
+            {[['level', 'Level'], ['manual', 'Manuell'], ['fit', 'Best Efforts']].map(([mode, label]) => (
+              <button
+                key={mode}
+                className={`topbar-type-btn ${powerMode === mode ? 'active' : ''}`}
+                onClick={() => { setPowerMode(mode); setPowerError(null); }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {powerMode === 'level' && (
+            <select className="modal-select" value={level} onChange={(e) => setLevel(e.target.value)}>
+              {Object.entries(POWER_LEVELS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          )}
+
+          {powerMode === 'manual' && (
+            <div className="modal-power-grid">
+              <PowerInput label="Pmax (W/kg)" value={manual.Pmax} onChange={(v) => setManual({ ...manual, Pmax: v })} />
+              <PowerInput label="CP (W/kg)" value={manual.CP} onChange={(v) => setManual({ ...manual, CP: v })} />
+              <PowerInput label="W' (J/kg)" value={manual.Wprime} onChange={(v) => setManual({ ...manual, Wprime: v })} />
+            </div>
+          )}
+
+          {powerMode === 'fit' && (
+            <div className="modal-power-grid">
+              {EFFORT_DURATIONS.map((d) => (
+                <PowerInput
+                  key={d}
+                  label={`${EFFORT_LABELS[d]} (W)`}
+                  value={efforts[d]}
+                  onChange={(v) => setEfforts({ ...efforts, [d]: v })}
+                />
+              ))}
+            </div>
+          )}
+
+          {powerError && <span className="modal-error">{powerError}</span>}
+          <p className="modal-privacy">
+            Der Score zeigt, wie viel Prozent deiner Kapazität für die KOM-Dauer nötig sind.
+          </p>
+        </div>
+
+        <div className="modal-divider" />
+
+        <div className="modal-field">
+          <label className="modal-label">Wind</label>
+          <div className="topbar-type-toggle">
+            {[['off', 'Aus'], ['manual', 'Manuell'], ['provider', 'Wetterdienst']].map(([mode, label]) => (
+              <button
+                key={mode}
+                className={`topbar-type-btn ${windMode === mode ? 'active' : ''}`}
+                onClick={() => setWindMode(mode)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {windMode === 'manual' && (
+            <div className="modal-power-grid">
+              <PowerInput label="Speed (km/h)" value={windSpeed} onChange={setWindSpeed} />
+              <label className="modal-power-field">
+                <span className="modal-power-label">Aus Richtung</span>
+                <select
+                  className="modal-select"
+                  value={windDirection}
+                  onChange={(e) => setWindDirection(Number(e.target.value))}
+                >
+                  {COMPASS_POINTS.map((label, i) => (
+                    <option key={label} value={i * 45}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {windMode === 'provider' && (
+            <select className="modal-select" value={windProvider} onChange={(e) => setWindProvider(e.target.value)}>
+              {Object.entries(WIND_PROVIDERS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          )}
+
+          <p className="modal-privacy">
+            Gegen- und Rückenwind werden pro Abschnitt aus der Fahrtrichtung des Segments berechnet.
+            {windMode === 'provider' && ' Wetterdaten gelten für Segmente, die im ~10-km-Feld der Kartenmitte starten.'}
+          </p>
+        </div>
+
+        <div className="modal-divider" />
+
         <div className="modal-info">
           <div className="modal-info-title">Wie wird die Leistung berechnet?</div>
           <p className="modal-info-text">
             Das Modell summiert drei Kräfte: Schwerkraft (Steigung × Gesamtmasse), Rollwiderstand
             und Luftwiderstand. Die resultierende Wattzahl wird mit dem{' '}
-            <em>Critical-Power-Modell</em> (nach Coggan, „Good"-Level) ins Verhältnis gesetzt —
-            so entsteht der Schwierigkeits-Score in %.
+            <em>Critical-Power-Modell</em> deines Leistungsprofils (Standard: Coggan, „Good"-Level)
+            ins Verhältnis gesetzt — so entsteht der Schwierigkeits-Score in %.
           </p>
           <p className="modal-info-text">
             Road-Profil: CdA 0.32, Rad 8 kg. MTB-Profil: CdA 0.40, Rad 12 kg.
@@ -137,3 +294,19 @@ export default function SettingsModal({
     </div>
   );
 }
+
+function PowerInput({ label, value, onChange }) {
+  return (
+    <label className="modal-power-field">
+      <span className="modal-power-label">{label}</span>
+      <input
+        className="modal-input modal-input-sm"
+        type="number"
+        min="0"
+        step="any"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </label>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { getSegmentDifficulty } from '../lib/segmentDifficulty.js';
+import { getSegmentHistory } from '../lib/api.js';
+
+/**
+ * "Ziele" view: every pinned segment, wherever it is on the map, with the
+ * current KOM/QOM, the watts it takes and how the difficulty moved over the
+ * recorded KOM/QOM history.
+ *
+ * A target uses the live segment when it is loaded, its snapshot otherwise.
+ */
+export default function TargetsPanel({
+  targets,
+  segments,
+  genderType,
+  riderMass,
+  bikeProfile,
+  powerProfile,
+  getValidToken,
+  onUpdate,
+  onRemove,
+  onShow,
+  syncEnabled,
+  onSyncChange,
+  syncError,
+  onClose,
+}) {
+  const [histories, setHistories] = useState({});
+  const isQueen = genderType === 'queen';
+
+  // History comes from D1 only, so loading it for every target is cheap
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const token = await getValidToken();
+      if (!token) return;
+      for (const { segment_id } of targets) {
+        if (histories[segment_id]) continue;
+        try {
+          const history = await getSegmentHistory(token, segment_id);
+          if (!cancelled) setHistories((prev) => ({ ...prev, [segment_id]: history }));
+        } catch {
+          // Trend is optional — the row still shows the current values
+        }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [targets.length]);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-box targets-box" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title">Ziele</div>
+          <label className="targets-sync" title="Über den Server auf allen Geräten abgleichen">
+            <input type="checkbox" checked={syncEnabled} onChange={(e) => onSyncChange(e.target.checked)} />
+            Synchronisieren
+          </label>
+        </div>
+        {syncError && <div className="modal-error">{syncError}</div>}
+
+        {targets.length === 0 ? (
+          <p className="modal-hint">
+            Noch keine Ziele. Pinne ein Segment über das Fähnchen auf der Karte oder auf einer Segmentkarte.
+          </p>
+        ) : (
+          <div className="targets-list">
+            {targets.map((target) => {
+              const segment = segments[target.segment_id] || target.snapshot;
+              if (!segment) return null;
+              const difficulty = getSegmentDifficulty(segment, riderMass, genderType, bikeProfile, powerProfile);
+              const komTime = (isQueen ? segment.details?.qom_time : segment.details?.kom_time) || '—';
+              const trend = difficultyTrend(
+                histories[target.segment_id]?.[isQueen ? 'qom' : 'kom'],
+                segment, riderMass, genderType, bikeProfile, powerProfile
+              );
+
+              return (
+                <div key={target.segment_id} className="target-row">
+                  <div className="target-head">
+                    <span className="target-name" title={segment.data.name}>{segment.data.name}</span>
+                    <button className="target-btn" onClick={() => onShow(target.segment_id, segment)}>
+                      Zeigen
+                    </button>
+                    <button className="target-btn" onClick={() => onRemove(target.segment_id)} title="Ziel entfernen">
+                      ✕
+                    </button>
+                  </div>
+
+                  <div className="target-stats">
+                    <span>{isQueen ? 'QOM' : 'KOM'} {komTime}</span>
+                    {difficulty.isValid ? (
+                      <>
+                        <span>~ {Math.round(difficulty.komPower)} W</span>
+                        <span style={{ color: difficulty.difficultyClass.color }}>
+                          {Math.round(difficulty.difficultyScore)}%
+                        </span>
+                      </>
+                    ) : (
+                      <span>keine Bewertung</span>
+                    )}
+                    {trend && (
+                      <span className={trend.delta > 0 ? 'seg-xom-hot' : ''} title="Score beim ältesten erfassten KOM/QOM → heute">
+                        {Math.round(trend.from)}% → {Math.round(trend.to)}%
+                      </span>
+                    )}
+                  </div>
+
+                  <div className="target-fields">
+                    <input
+                      className="modal-input modal-input-sm"
+                      placeholder="Notiz"
+                      value={target.note || ''}
+                      onChange={(e) => onUpdate(target.segment_id, { note: e.target.value })}
+                    />
+                    <input
+                      className="modal-input modal-input-sm"
+                      type="date"
+                      value={target.target_date || ''}
+                      onChange={(e) => onUpdate(target.segment_id, { target_date: e.target.value || null })}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <button className="modal-btn modal-btn-secondary" onClick={onClose}>Schliessen</button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Score at the oldest recorded KOM/QOM vs. the current one; null with
+ * fewer than two distinct times.
+ */
+function difficultyTrend(history, segment, riderMass, genderType, bikeProfile, powerProfile) {
+  const points = (history || []).filter((h) => h.time);
+  if (points.length < 2) return null;
+
+  const field = genderType === 'queen' ? 'qom_time' : 'kom_time';
+  const scoreAt = (time) =>
+    getSegmentDifficulty(
+      { ...segment, details: { ...segment.details, [field]: time } },
+      riderMass, genderType, bikeProfile, powerProfile
+    );
+
+  const from = scoreAt(points[0].time);
+  const to = scoreAt(points[points.length - 1].time);
+  if (!from.isValid || !to.isValid) return null;
+  return { from: from.difficultyScore, to: to.difficultyScore, delta: to.difficultyScore - from.difficultyScore };
+}
@@ -1,15 +1,52 @@
 import React from 'react';
+import SearchBox from './SearchBox.jsx';
+
+export default function TopBar({ segmentCount, rateLimit, targetCount, onSearchPick, onTargetsOpen, onRouteImport, onSettingsOpen }) {
+  const budget = rateLimit?.fifteenMin;
+  const budgetLow = budget != null && rateLimit.fifteenMinLimit && budget < rateLimit.fifteenMinLimit * 0.15;
 
-export default function TopBar({ segmentCount, onSettingsOpen }) {
   return (
     <div className="topbar">
       <div className="topbar-title">KOM QOM</div>
 
+      <SearchBox onPick={onSearchPick} />
+
       <div className="topbar-right">
         <span className="topbar-badge">
           {segmentCount} segment{segmentCount !== 1 ? 's' : ''}
         </span>
 
+        {budget != null && (
+          <span
+            className={`topbar-badge topbar-budget ${budgetLow ? 'topbar-budget-low' : ''}`}
+            title={
+              `Strava API: ${budget} Aufrufe in diesem 15-Min.-Fenster, ${rateLimit.daily ?? '—'} heute übrig` +
+              (rateLimit.deferred ? ` — ${rateLimit.deferred} Anfragen zurückgestellt` : '')
+            }
+          >
+            API {budget}/{rateLimit.fifteenMinLimit}
+            {rateLimit.deferred > 0 && ` · ${rateLimit.deferred} ⏸`}
+          </span>
+        )}
+
+        <label className="topbar-badge topbar-targets-btn" title="Route importieren (GPX, TCX, FIT) — oder auf die Karte ziehen">
+          Route
+          <input
+            type="file"
+            accept=".gpx,.tcx,.fit"
+            hidden
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onRouteImport(file);
+            }}
+          />
+        </label>
+
+        <button className="topbar-badge topbar-targets-btn" onClick={onTargetsOpen} title="Meine Ziele">
+          Ziele{targetCount > 0 ? ` ${targetCount}` : ''}
+        </button>
+
         <img
           src="/api_logo_pwrdBy_strava_horiz_white.svg"
           alt="Powered by Strava"
@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from 'react';
+import {
+  calculateSegmentDifficulty,
+  timeAtPower,
+  segmentSections,
+  resolveProfilePhysics,
+  resolvePowerModel,
+  parseKomTime,
+  PHYSICS,
+} from '../lib/segmentDifficulty.js';
+import { windAt } from '../lib/wind.js';
+import { formatDuration } from '../lib/format.js';
+
+// [key, label, min, max, step, format]
+const SLIDERS = [
+  ['riderMass', 'Fahrergewicht', 40, 120, 0.5, (v) => `${v.toFixed(1)} kg`],
+  ['bikeMass', 'Radgewicht', 5, 16, 0.1, (v) => `${v.toFixed(1)} kg`],
+  ['CdA', 'CdA', 0.18, 0.5, 0.005, (v) => `${v.toFixed(3)} m²`],
+  ['Crr', 'Crr', 0.002, 0.015, 0.0005, (v) => v.toFixed(4)],
+  ['rho', 'Luftdichte', 0.9, 1.35, 0.01, (v) => `${v.toFixed(2)} kg/m³`],
+];
+
+/**
+ * "Was wäre wenn" for one segment: change mass, bike and air, pick a target
+ * time, and see the watts, W/kg and score it takes. The other way round, a
+ * power gives the finishing time. Both are compared to the starting values
+ * (settings + KOM/QOM), so the gain of e.g. lighter wheels is readable.
+ *
+ * Runs on the same sections and wind as the drawer's KOM/QOM figures, so
+ * the starting values match its "Leistung" row. The edits start from the
+ * baseline once — the parent keys the panel on the baseline inputs to
+ * start over.
+ */
+export default function WhatIfPanel({ segment, genderType, riderMass, bikeProfile, powerProfile, wind }) {
+  const { data, details, surface } = segment;
+  const distance = details?.distance || data.distance;
+  const elevation = data.elev_difference ?? details?.total_elevation_gain ?? 0;
+  const komSeconds = parseKomTime(genderType === 'queen' ? details?.qom_time : details?.kom_time);
+
+  // targetTime null = the KOM/QOM time, which may only arrive with the details
+  const baseline = useMemo(() => {
+    const { CdA, bikeMass, Crr } = resolveProfilePhysics(bikeProfile, surface);
+    return { riderMass: riderMass || 75, bikeMass, CdA, Crr, rho: PHYSICS.rho, targetTime: null };
+  }, [bikeProfile, surface, riderMass]);
+
+  const [values, setValues] = useState(baseline);
+  const [power, setPower] = useState(null);
+
+  const segmentWind = windAt(wind, segment.data.start_latlng);
+  const activeWind = segmentWind?.speed > 0 ? segmentWind : null;
+  const sections = useMemo(() => segmentSections(segment, { useStream: true, wind: activeWind }).sections, [segment, activeWind]);
+  const powerModel = useMemo(() => resolvePowerModel(powerProfile), [powerProfile]);
+
+  function evaluate(v) {
+    const profilePhysics = { CdA: v.CdA, bikeMass: v.bikeMass, Crr: v.Crr, rho: v.rho };
+    return {
+      profilePhysics,
+      result: calculateSegmentDifficulty({
+        distance, elevation, komTime: v.targetTime ?? komSeconds, riderMass: v.riderMass, profilePhysics, sections, powerModel,
+        wind: activeWind,
+      }),
+    };
+  }
+
+  const current = evaluate(values);
+  const base = evaluate(baseline);
+
+  if (!distance || !komSeconds) {
+    return <p className="detail-hint">Ohne KOM/QOM-Zeit keine Berechnung.</p>;
+  }
+
+  const inversePower = power ?? Math.round(current.result.komPower || 0);
+  const inverseTime = timeAtPower({
+    distance, elevation, power: inversePower, riderMass: values.riderMass, profilePhysics: current.profilePhysics, sections,
+    wind: activeWind,
+  });
+  const powerDelta = current.result.isValid && base.result.isValid ? current.result.komPower - base.result.komPower : 0;
+
+  const targetTime = values.targetTime ?? komSeconds;
+  const set = (key, value) => setValues((prev) => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="whatif">
+      {SLIDERS.map(([key, label, min, max, step, format]) => (
+        <Slider key={key} label={label} min={min} max={max} step={step}
+          value={values[key]} display={format(values[key])} onChange={(v) => set(key, v)} />
+      ))}
+      <Slider
+        label="Zielzeit"
+        min={Math.round(komSeconds * 0.5)}
+        max={Math.round(komSeconds * 2)}
+        step={1}
+        value={targetTime}
+        display={formatDuration(targetTime)}
+        onChange={(v) => set('targetTime', v)}
+      />
+
+      {current.result.isValid && (
+        <div className="whatif-result">
+          <span>{Math.round(current.result.komPower)} W</span>
+          <span>{current.result.komPowerWKg.toFixed(2)} W/kg</span>
+          <span style={{ color: current.result.difficultyClass.color }}>
+            {Math.round(current.result.difficultyScore)} %
+          </span>
+          {Math.round(powerDelta) !== 0 && (
+            <span className={powerDelta < 0 ? 'whatif-better' : 'whatif-worse'}>
+              {powerDelta > 0 ? '+' : '−'}{Math.abs(Math.round(powerDelta))} W
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="whatif-inverse">
+        <span>Bei</span>
+        <input
+          className="modal-input modal-input-sm whatif-power"
+          type="number"
+          min="1"
+          step="5"
+          value={inversePower}
+          onChange={(e) => setPower(e.target.value === '' ? null : Number(e.target.value))}
+        />
+        <span>W ins Ziel nach</span>
+        <strong>{inverseTime != null ? formatDuration(Math.round(inverseTime)) : '—'}</strong>
+        {inverseTime != null && (
+          <span className={inverseTime <= komSeconds ? 'whatif-better' : 'whatif-worse'} title="Abstand zur KOM/QOM-Zeit">
+            ({inverseTime <= komSeconds ? '−' : '+'}{Math.abs(Math.round(inverseTime - komSeconds))} s)
+          </span>
+        )}
+      </div>
+
+      <button
+        className="target-btn"
+        onClick={() => { setValues(baseline); setPower(null); }}
+      >
+        Zurücksetzen
+      </button>
+    </div>
+  );
+}
+
+function Slider({ label, min, max, step, value, display, onChange }) {
+  return (
+    <label className="whatif-slider">
+      <span className="whatif-label">{label}</span>
+      <input type="range" min={min} max={max} step={step} value={value}
+        onChange={(e) => onChange(Number(e.target.value))} />
+      <span className="whatif-value">{display}</span>
+    </label>
+  );
+}
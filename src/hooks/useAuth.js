@@ -6,6 +6,7 @@ import {
   LS_REFRESH_TOKEN,
   LS_TOKEN_EXPIRES,
 } from '../lib/constants.js';
+import { stashPendingLink } from '../lib/shareLink.js';
 
 /**
  * Manages Strava OAuth authentication with automatic token refresh.
@@ -18,6 +19,9 @@ import {
  * 5. Worker responds with { access_token, refresh_token, expires_at }
  * 6. We store tokens in localStorage
  *
+ * A shared link's hash does not survive the round trip (REDIRECT_URI is
+ * the bare app root), so it is stashed before leaving for Strava.
+ *
  * Token refresh:
  * - getValidToken() checks expiration before every API call
  * - If token expires within 5 minutes, it refreshes automatically
@@ -97,6 +101,8 @@ export function useAuth() {
       return data.access_token;
     } catch (err) {
       console.error('Token refresh error:', err);
+      // Offline: keep the session so cached data stays available; retry when back online
+      if (!navigator.onLine) return null;
       logout();
       return null;
     }
@@ -141,6 +147,7 @@ export function useAuth() {
       response_type: 'code',
       scope: 'read',
     });
+    stashPendingLink();
     window.location.href = `https://www.strava.com/oauth/authorize?${params}`;
   }, []);
 
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { getSegmentDifficulty } from '../lib/segmentDifficulty.js';
+import { matchesFilters } from '../lib/segmentFilter.js';
+
+/**
+ * Rates every loaded segment and applies the bike profile and the filter
+ * panel. The result drives both the segment panel and the map, so a
+ * filtered-out segment disappears from both.
+ *
+ * @returns {{ rated: Array<{ id: string, seg: object, difficulty: object }>, visibleIds: Set<string> }}
+ */
+export function useFilteredSegments(segments, { riderMass, genderType, bikeProfile, powerProfile, wind, filters }) {
+  // Wind makes each difficulty a numeric solve — only recompute when inputs change
+  const all = useMemo(
+    () =>
+      Object.entries(segments)
+        .filter(([_, seg]) => !(bikeProfile === 'road' && seg.surface === 'unpaved'))
+        .map(([id, seg]) => ({
+          id,
+          seg,
+          difficulty: getSegmentDifficulty(seg, riderMass, genderType, bikeProfile, powerProfile, wind),
+        })),
+    [segments, riderMass, genderType, bikeProfile, powerProfile, wind]
+  );
+
+  return useMemo(() => {
+    const rated = all.filter(({ seg, difficulty }) => matchesFilters(seg, difficulty, filters, genderType));
+    return { rated, visibleIds: new Set(rated.map(({ id }) => id)) };
+  }, [all, filters, genderType]);
+}
@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Tracks navigator.onLine via the online/offline events.
+ */
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
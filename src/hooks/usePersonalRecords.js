@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from 'react';
+import { getRecords, subscribe } from '../lib/personalRecords.js';
+import { getSegmentById } from '../lib/strava.js';
+
+/**
+ * The athlete's PR per segment, kept current as details load.
+ *
+ * Cached details from D1 carry no PR, so the selected segment is asked for
+ * once per session directly from Strava when nothing is recorded for it.
+ *
+ * @returns {{ [segmentId]: { pr_elapsed_time, pr_date, effort_count, fetched_at } }}
+ */
+export function usePersonalRecords(activeId, getValidToken) {
+  const [records, setRecords] = useState(getRecords);
+  const requested = useRef(new Set());
+
+  useEffect(() => subscribe(() => setRecords(getRecords())), []);
+
+  useEffect(() => {
+    if (activeId == null || records[activeId] || requested.current.has(activeId)) return;
+    requested.current.add(activeId);
+    getValidToken().then((token) => {
+      if (!token) return;
+      getSegmentById(token, activeId).catch((err) => console.warn('PR lookup failed:', err));
+    });
+  }, [activeId, records, getValidToken]);
+
+  return records;
+}
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { getRemaining, deferredCount, subscribe } from '../lib/rateLimit.js';
+
+// Re-evaluate periodically so a rolled-over 15-minute window shows up
+// even when no request is made
+const TICK_MS = 30 * 1000;
+
+/**
+ * Live view of the shared Strava rate-limit budget.
+ *
+ * @returns {{ fifteenMin: number|null, daily: number|null, fifteenMinLimit: number|null, deferred: number }}
+ */
+export function useRateLimit() {
+  const [snapshot, setSnapshot] = useState(read);
+
+  useEffect(() => {
+    const update = () => setSnapshot(read());
+    const unsubscribe = subscribe(update);
+    const interval = setInterval(update, TICK_MS);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, []);
+
+  return snapshot;
+}
+
+function read() {
+  return { ...getRemaining(), deferred: deferredCount() };
+}
@@ -0,0 +1,84 @@
+import { useState, useCallback, useMemo, useRef } from 'react';
+import { parseRouteFile } from '../lib/routeImport.js';
+import { buildRoute, corridorBoxes, matchSegmentsToRoute } from '../lib/routeMatch.js';
+
+/**
+ * An imported route (GPX/TCX/FIT) and the segments along it.
+ *
+ * Importing draws the route and explores a corridor around it box by box
+ * (loadAlongRoute from useSegments). Matches are recomputed from all
+ * loaded segments, so segments found by normal map searches count too.
+ * A new import or clearing the route stops the running exploration.
+ */
+export function useRoute(segments, loadAlongRoute) {
+  const [route, setRoute] = useState(null);
+  // { explored, total, done, unavailable?, failed? } — unavailable: offline or no token
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const running = useRef(null); // AbortController of the current import
+
+  const importFile = useCallback(
+    async (file) => {
+      running.current?.abort();
+      const controller = new AbortController();
+      running.current = controller;
+      const { signal } = controller;
+
+      setError(null);
+      let parsed;
+      try {
+        parsed = await parseRouteFile(file);
+      } catch (err) {
+        if (signal.aborted) return;
+        // The previous run was aborted above — drop its route with it
+        setRoute(null);
+        setProgress(null);
+        setError(err.message || 'Die Route konnte nicht gelesen werden.');
+        return;
+      }
+      if (signal.aborted) return;
+
+      const next = buildRoute(parsed.name, parsed.points);
+      setRoute(next);
+
+      const boxes = corridorBoxes(next);
+      setProgress({ explored: 0, total: boxes.length, done: false });
+      const result = await loadAlongRoute(
+        boxes,
+        (explored, total) => !signal.aborted && setProgress({ explored, total, done: false }),
+        signal
+      );
+      if (signal.aborted) return;
+      setProgress({
+        explored: result?.explored ?? 0,
+        total: boxes.length,
+        done: true,
+        unavailable: result == null,
+        failed: !!result?.failed,
+      });
+    },
+    [loadAlongRoute]
+  );
+
+  const clearRoute = useCallback(() => {
+    running.current?.abort();
+    running.current = null;
+    setRoute(null);
+    setProgress(null);
+    setError(null);
+  }, []);
+
+  const matches = useMemo(
+    () => (route ? matchSegmentsToRoute(route, segments) : []),
+    [route, segments]
+  );
+
+  return {
+    route,       // { name, latlngs, cumulative, length } | null
+    matches,     // [{ id, startDistance, endDistance }] in ride order
+    progress,
+    error,
+    importFile,
+    clearRoute,
+  };
+}
@@ -1,6 +1,19 @@
-import { useState, useCallback, useRef } from 'react';
-import { exploreSegments } from '../lib/strava.js';
-import { getSegmentDetail, refreshSegment } from '../lib/api.js';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { exploreSegments, exploreAlongRoute, getSegmentStreams } from '../lib/strava.js';
+import {
+  getSegmentDetail,
+  getSegmentDetails,
+  getSegmentHistory,
+  refreshSegment,
+  exploreCached,
+  querySegmentCache,
+} from '../lib/api.js';
+import { loadCachedSegments, saveCachedSegments, clearSegmentCache } from '../lib/segmentCache.js';
+
+// Matches BATCH_MAX_IDS in worker/worker.js
+const DETAILS_BATCH_SIZE = 100;
+// Pages of QUERY_MAX_LIMIT (200) to read from the D1 cache when explore fails
+const CACHE_QUERY_MAX_PAGES = 5;
 
 /**
  * Build a user-facing message for a 429, distinguishing Strava's
@@ -22,6 +35,29 @@ function rateLimitMessage(rateLimit) {
   return 'Rate Limit erreicht. Bitte ein paar Minuten warten. Danke Strava';
 }
 
+/**
+ * Turn a cached D1 row into the explore summary shape the map and cards
+ * expect; the row itself already is the detail record.
+ */
+function cachedRowToSegment(row) {
+  return {
+    data: {
+      id: row.id,
+      name: row.name,
+      distance: row.distance,
+      avg_grade: row.avg_grade,
+      elev_difference: row.elev_difference,
+      start_latlng: [row.start_lat, row.start_lng],
+      end_latlng: [row.end_lat, row.end_lng],
+      points: row.points,
+    },
+    details: row,
+    surface: row.surface,
+    elevationProfile: null,
+    xomHistory: null,
+  };
+}
+
 /**
  * Manages segment state: loading from API, storing, selecting.
  *
@@ -33,11 +69,71 @@ export function useSegments(getValidToken) {
   const [activeId, setActiveId] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [coverage, setCoverage] = useState(null);
+  const [restoring, setRestoring] = useState(true);
 
   const detailsFetched = useRef(new Set());
+  const elevationFetched = useRef(new Set());
+  const historyFetched = useRef(new Set());
+  // id -> details object last written to IndexedDB (null = summary only)
+  const persisted = useRef(new Map());
+
+  // Restore the previous session from IndexedDB — no network involved
+  useEffect(() => {
+    let cancelled = false;
+    loadCachedSegments().then((cached) => {
+      if (cancelled) return;
+      for (const { id, details } of cached) {
+        persisted.current.set(id, details);
+        if (details) detailsFetched.current.add(id);
+      }
+      setSegments((prev) => {
+        const updated = { ...prev };
+        for (const { id, data, details, surface } of cached) {
+          if (!updated[id]) {
+            updated[id] = { data, details, surface, elevationProfile: null, xomHistory: null };
+          }
+        }
+        return updated;
+      });
+      setRestoring(false);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  // Write new segments and changed details back to IndexedDB
+  useEffect(() => {
+    if (restoring) return;
+    const changed = [];
+    for (const [id, seg] of Object.entries(segments)) {
+      const key = Number(id);
+      if (persisted.current.has(key) && persisted.current.get(key) === seg.details) continue;
+      persisted.current.set(key, seg.details);
+      changed.push({ id: key, data: seg.data, details: seg.details, surface: seg.surface });
+    }
+    saveCachedSegments(changed);
+  }, [segments, restoring]);
+
+  // Elevation profiles cost one Strava call each, so only the selected
+  // segment gets one. Its difficulty then switches to the per-section model.
+  // The KOM/QOM history comes from the Worker's D1 cache alongside.
+  useEffect(() => {
+    if (activeId == null) return;
+    if (!elevationFetched.current.has(activeId)) {
+      elevationFetched.current.add(activeId);
+      loadElevationProfile(activeId);
+    }
+    if (!historyFetched.current.has(activeId)) {
+      historyFetched.current.add(activeId);
+      loadHistory(activeId);
+    }
+  }, [activeId]);
 
   const loadForBounds = useCallback(
     async (bounds) => {
+      // Offline the map shows what the IndexedDB restore brought back
+      if (!navigator.onLine) return;
+
       const token = await getValidToken();
       if (!token) return;
 
@@ -45,35 +141,18 @@ export function useSegments(getValidToken) {
       setError(null);
 
       try {
-        const newSegments = await exploreSegments(token, { bounds });
-
-        setSegments((prev) => {
-          const updated = { ...prev };
-          let hasNew = false;
-
-          for (const seg of newSegments) {
-            if (!updated[seg.id]) {
-              const { surface, ...data } = seg;
-              updated[seg.id] = { data, details: null, surface };
-              hasNew = true;
-
-              if (!detailsFetched.current.has(seg.id)) {
-                detailsFetched.current.add(seg.id);
-                loadDetails(seg.id);
-              }
-            }
-          }
-
-          return hasNew ? updated : prev;
-        });
+        addExplored(await explore(token, bounds));
       } catch (err) {
         if (err.status === 401) {
           // Token was invalid despite refresh attempt — will be caught on next cycle
           setError('Token abgelaufen. Bitte neu verbinden.');
-        } else if (err.status === 429) {
-          setError(rateLimitMessage(err.rateLimit));
         } else {
-          setError('Fehler beim Laden der Segmente.');
+          const cached = await loadFromCache(token, bounds);
+          if (err.status === 429) {
+            setError(rateLimitMessage(err.rateLimit) + (cached ? ` ${cached} Segmente aus dem Cache.` : ''));
+          } else if (!cached) {
+            setError('Fehler beim Laden der Segmente.');
+          }
         }
         console.error('Segment load error:', err);
       } finally {
@@ -83,18 +162,177 @@ export function useSegments(getValidToken) {
     [getValidToken]
   );
 
-  async function loadDetails(segmentId) {
+  /**
+   * Explore a chain of boxes along an imported route (see routeMatch.js).
+   * Segments appear on the map box by box. Aborting the signal stops after
+   * the running box.
+   *
+   * @returns {Promise<{ explored: number, total: number, failed?: true }|null>} boxes done;
+   *   failed after an error (reported via error), null when offline or without a token
+   */
+  const loadAlongRoute = useCallback(
+    async (boxes, onProgress, signal) => {
+      if (!navigator.onLine) return null;
+      const token = await getValidToken();
+      if (!token) return null;
+
+      setLoading(true);
+      setError(null);
+      try {
+        const { explored } = await exploreAlongRoute(token, boxes, {
+          signal,
+          onProgress: (done, fresh) => {
+            addExplored(fresh);
+            onProgress?.(done, boxes.length);
+          },
+        });
+        return { explored, total: boxes.length };
+      } catch (err) {
+        if (err.status === 401) setError('Token abgelaufen. Bitte neu verbinden.');
+        else if (err.status === 429) setError(rateLimitMessage(err.rateLimit));
+        else setError('Fehler beim Laden der Segmente entlang der Route.');
+        console.error('Route explore error:', err);
+        return { explored: 0, total: boxes.length, failed: true };
+      } finally {
+        setLoading(false);
+      }
+    },
+    [getValidToken]
+  );
+
+  // Add explore summaries to the map and queue their details
+  function addExplored(newSegments) {
+    setSegments((prev) => {
+      const updated = { ...prev };
+      let hasNew = false;
+
+      for (const seg of newSegments) {
+        if (!updated[seg.id]) {
+          const { surface, ...data } = seg;
+          updated[seg.id] = { data, details: null, surface, elevationProfile: null, xomHistory: null };
+          hasNew = true;
+        }
+      }
+
+      return hasNew ? updated : prev;
+    });
+
+    const missingIds = newSegments
+      .map((seg) => seg.id)
+      .filter((id) => !detailsFetched.current.has(id));
+    missingIds.forEach((id) => detailsFetched.current.add(id));
+    for (let i = 0; i < missingIds.length; i += DETAILS_BATCH_SIZE) {
+      loadDetails(missingIds.slice(i, i + DETAILS_BATCH_SIZE));
+    }
+  }
+
+  /**
+   * Explore via the Worker's tile cache; fall back to calling Strava
+   * directly when the Worker has no explore endpoint (e.g. not deployed)
+   * or rejects the area as too large.
+   */
+  async function explore(token, bounds) {
+    try {
+      const result = await exploreCached(token, bounds);
+      setCoverage(result.coverage ?? null);
+      return result.segments;
+    } catch (err) {
+      if (err.status === 401 || err.status === 429) throw err;
+      console.warn('Explore cache unavailable, querying Strava directly:', err);
+      const result = await exploreSegments(token, { bounds });
+      setCoverage(result.coverage);
+      return result.segments;
+    }
+  }
+
+  /**
+   * Fill the map from the Worker's D1 cache when Strava can't be asked.
+   * Cached rows come with details, so nothing is fetched afterwards.
+   * Returns the number of segments found (0 on failure).
+   */
+  async function loadFromCache(token, bounds) {
+    try {
+      const rows = [];
+      let cursor = null;
+      for (let page = 0; page < CACHE_QUERY_MAX_PAGES; page++) {
+        const result = await querySegmentCache(token, bounds, { limit: 200 }, cursor);
+        rows.push(...result.segments);
+        cursor = result.nextCursor;
+        if (cursor == null) break;
+      }
+
+      setCoverage(null);
+      setSegments((prev) => {
+        const updated = { ...prev };
+        for (const row of rows) {
+          if (!updated[row.id]) updated[row.id] = cachedRowToSegment(row);
+        }
+        return updated;
+      });
+      rows.forEach((row) => detailsFetched.current.add(row.id));
+      return rows.length;
+    } catch (err) {
+      console.warn('Segment cache query failed:', err);
+      return 0;
+    }
+  }
+
+  async function loadDetails(segmentIds) {
     try {
       const token = await getValidToken();
       if (!token) return;
 
-      const details = await getSegmentDetail(token, segmentId);
+      const { segments: detailsById, failed } = await getSegmentDetails(token, segmentIds);
+      setSegments((prev) => {
+        const updated = { ...prev };
+        for (const [id, details] of Object.entries(detailsById)) {
+          if (updated[id]) updated[id] = { ...updated[id], details };
+        }
+        return updated;
+      });
+      if (failed?.length) {
+        // Allow a retry on the next search, as after a failed request
+        failed.forEach((id) => detailsFetched.current.delete(id));
+        console.warn(`Failed to load details for segments ${failed.join(', ')}`);
+      }
+    } catch (err) {
+      // Allow a retry on the next search over the same area
+      segmentIds.forEach((id) => detailsFetched.current.delete(id));
+      console.warn(`Failed to load details for ${segmentIds.length} segments`);
+    }
+  }
+
+  async function loadElevationProfile(segmentId) {
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+
+      const elevationProfile = await getSegmentStreams(token, segmentId);
+      if (elevationProfile.length < 2) return;
       setSegments((prev) => {
         if (!prev[segmentId]) return prev;
-        return { ...prev, [segmentId]: { ...prev[segmentId], details } };
+        return { ...prev, [segmentId]: { ...prev[segmentId], elevationProfile } };
       });
     } catch (err) {
-      console.warn(`Failed to load details for segment ${segmentId}`);
+      // Allow a retry on the next selection
+      elevationFetched.current.delete(segmentId);
+      console.warn(`Failed to load elevation profile for segment ${segmentId}`);
+    }
+  }
+
+  async function loadHistory(segmentId) {
+    try {
+      const token = await getValidToken();
+      if (!token) return;
+
+      const { kom, qom } = await getSegmentHistory(token, segmentId);
+      setSegments((prev) => {
+        if (!prev[segmentId]) return prev;
+        return { ...prev, [segmentId]: { ...prev[segmentId], xomHistory: { kom, qom } } };
+      });
+    } catch (err) {
+      historyFetched.current.delete(segmentId);
+      console.warn(`Failed to load KOM/QOM history for segment ${segmentId}`);
     }
   }
 
@@ -108,15 +346,51 @@ export function useSegments(getValidToken) {
         if (!prev[segmentId]) return prev;
         return { ...prev, [segmentId]: { ...prev[segmentId], details } };
       });
+      // A refresh may have recorded a new KOM/QOM
+      historyFetched.current.add(segmentId);
+      loadHistory(segmentId);
     } catch (err) {
       console.warn(`Failed to refresh segment ${segmentId}:`, err);
     }
   }, [getValidToken]);
 
+  // A single segment by ID (shared link, search) — read through the Worker's D1
+  // cache. Resolves to the segment, or null when it could not be loaded.
+  const loadSegment = useCallback(async (segmentId) => {
+    const token = await getValidToken();
+    if (!token) return null;
+    try {
+      const segment = cachedRowToSegment(await getSegmentDetail(token, segmentId));
+      detailsFetched.current.add(segmentId);
+      setSegments((prev) => (prev[segmentId] ? prev : { ...prev, [segmentId]: segment }));
+      return segment;
+    } catch (err) {
+      if (err.status === 401) setError('Token abgelaufen. Bitte neu verbinden.');
+      else if (err.status === 429) setError(rateLimitMessage(err.rateLimit));
+      else if (err.status === 404) setError(`Segment ${segmentId} nicht gefunden.`);
+      else setError('Fehler beim Laden des Segments.');
+      return null;
+    }
+  }, [getValidToken]);
+
+  // Put a segment known from elsewhere (e.g. a target's snapshot) on the map
+  const addSegment = useCallback((segmentId, { data, details, surface }) => {
+    setSegments((prev) => {
+      if (prev[segmentId]) return prev;
+      return { ...prev, [segmentId]: { data, details, surface, elevationProfile: null, xomHistory: null } };
+    });
+    if (details) detailsFetched.current.add(segmentId);
+  }, []);
+
   const clearAll = useCallback(() => {
+    clearSegmentCache();
+    persisted.current.clear();
     setSegments({});
     setActiveId(null);
+    setCoverage(null);
     detailsFetched.current.clear();
+    elevationFetched.current.clear();
+    historyFetched.current.clear();
   }, []);
 
   return {
@@ -125,8 +399,13 @@ export function useSegments(getValidToken) {
     setActiveId,
     loading,
     error,
+    coverage,          // 0–1 share of the last searched area below Strava's 10-segment cap
+    restoring,         // true until the IndexedDB session restore has finished
     loadForBounds,
+    loadAlongRoute,
     refreshDetail,
+    loadSegment,
+    addSegment,
     clearAll,
   };
 }
\ No newline at end of file
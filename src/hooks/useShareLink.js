@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+import { encodeShareLink, parseShareLink, clearPendingLink } from '../lib/shareLink.js';
+
+// Typing in the search field or dragging a filter slider settles into one
+// history entry instead of one per keystroke
+const HISTORY_DEBOUNCE = 500;
+
+/**
+ * Mirrors the shareable state into the URL hash (see lib/shareLink.js).
+ *
+ * A new segment, bike profile, gender type or filter pushes a history
+ * entry; map moves only replace the current one, so back/forward steps
+ * through selections rather than every pan. Back/forward — or a hash
+ * edited by hand — hands the parsed link to onNavigate. The link the app
+ * opens with is read once by the caller (readInitialLink).
+ *
+ * @param {object|null} state - { view, activeId, bikeProfile, genderType, filters };
+ *   null while there is nothing to mirror (logged out, map not ready), which
+ *   leaves the hash as it is
+ * @param {(link: object) => void} onNavigate
+ */
+export function useShareLink(state, onNavigate) {
+  const onNavigateRef = useRef(onNavigate);
+  onNavigateRef.current = onNavigate;
+  const timerRef = useRef(null);
+  const selectionRef = useRef(null); // hash without the view, as last written
+
+  const hash = state ? encodeShareLink(state) : null;
+  const selection = state ? encodeShareLink({ ...state, view: null }) : null;
+
+  useEffect(() => {
+    if (!hash) return;
+    clearPendingLink();
+    clearTimeout(timerRef.current);
+    if (hash === window.location.hash) {
+      selectionRef.current = selection;
+      return;
+    }
+    timerRef.current = setTimeout(() => {
+      if (selectionRef.current == null || selectionRef.current === selection) {
+        window.history.replaceState(null, '', hash);
+      } else {
+        window.history.pushState(null, '', hash);
+      }
+      selectionRef.current = selection;
+    }, HISTORY_DEBOUNCE);
+  }, [hash, selection]);
+
+  useEffect(() => {
+    const handlePop = () => {
+      clearTimeout(timerRef.current);
+      const link = parseShareLink(window.location.hash);
+      if (link) onNavigateRef.current(link);
+    };
+    window.addEventListener('popstate', handlePop);
+    return () => {
+      window.removeEventListener('popstate', handlePop);
+      clearTimeout(timerRef.current);
+    };
+  }, []);
+}
@@ -0,0 +1,155 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { getTargets, putTargets } from '../lib/api.js';
+import { loadTargets, saveTargets, mergeTargets, nowSeconds } from '../lib/targets.js';
+import { LS_TARGETS_SYNC } from '../lib/constants.js';
+
+// Wait for a burst of edits (typing a note) before pushing
+const SYNC_DEBOUNCE = 2000;
+
+/**
+ * The rider's target list: pinned segments with a note and a target date.
+ *
+ * Always kept in localStorage. With sync enabled it is also merged with
+ * the Worker's copy (GET/PUT /api/targets), which is keyed by the athlete
+ * the token belongs to — the same list on every device.
+ */
+export function useTargets(getValidToken) {
+  const [all, setAll] = useState(loadTargets);
+  const [syncEnabled, setSyncEnabledState] = useState(() => localStorage.getItem(LS_TARGETS_SYNC) === '1');
+  const [syncError, setSyncError] = useState(null);
+
+  // Set by local edits only, so merging a server response doesn't push again
+  const dirty = useRef(false);
+  const allRef = useRef(all);
+  allRef.current = all;
+
+  useEffect(() => {
+    saveTargets(all);
+  }, [all]);
+
+  const change = useCallback((updater) => {
+    dirty.current = true;
+    setAll(updater);
+  }, []);
+
+  // Pull once when sync is switched on (or on startup); push what only exists locally
+  useEffect(() => {
+    if (!syncEnabled) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const token = await getValidToken();
+        if (!token || cancelled) return;
+        const { targets } = await getTargets(token);
+        if (cancelled) return;
+        change((prev) => mergeTargets(prev, targets));
+        setSyncError(null);
+      } catch (err) {
+        console.warn('Target sync failed:', err);
+        setSyncError('Synchronisierung fehlgeschlagen.');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [syncEnabled, getValidToken, change]);
+
+  // Push local edits
+  useEffect(() => {
+    if (!syncEnabled || !dirty.current) return;
+    const timer = setTimeout(async () => {
+      dirty.current = false;
+      try {
+        const token = await getValidToken();
+        if (!token) return;
+        const { targets } = await putTargets(token, Object.values(allRef.current));
+        setAll((prev) => mergeTargets(prev, targets));
+        setSyncError(null);
+      } catch (err) {
+        dirty.current = true;
+        console.warn('Target sync failed:', err);
+        setSyncError('Synchronisierung fehlgeschlagen.');
+      }
+    }, SYNC_DEBOUNCE);
+    return () => clearTimeout(timer);
+  }, [all, syncEnabled, getValidToken]);
+
+  const setSyncEnabled = useCallback((enabled) => {
+    setSyncEnabledState(enabled);
+    localStorage.setItem(LS_TARGETS_SYNC, enabled ? '1' : '0');
+    if (!enabled) setSyncError(null);
+  }, []);
+
+  const pin = useCallback((segmentId, segment) => {
+    const now = nowSeconds();
+    change((prev) => ({
+      ...prev,
+      [segmentId]: {
+        segment_id: segmentId,
+        note: '',
+        target_date: null,
+        added_at: now,
+        updated_at: now,
+        deleted: false,
+        snapshot: snapshotOf(segment),
+      },
+    }));
+  }, [change]);
+
+  // Keeps a tombstone so the removal reaches other devices
+  const unpin = useCallback((segmentId) => {
+    change((prev) => {
+      if (!prev[segmentId]) return prev;
+      return { ...prev, [segmentId]: { ...prev[segmentId], deleted: true, snapshot: null, updated_at: nowSeconds() } };
+    });
+  }, [change]);
+
+  const update = useCallback((segmentId, fields) => {
+    change((prev) => {
+      if (!prev[segmentId]) return prev;
+      return { ...prev, [segmentId]: { ...prev[segmentId], ...fields, updated_at: nowSeconds() } };
+    });
+  }, [change]);
+
+  /**
+   * Refresh snapshots from freshly loaded segments. Not an edit, so
+   * updated_at stays — the Worker accepts an equal timestamp.
+   */
+  const refreshSnapshots = useCallback((segments) => {
+    const current = allRef.current;
+    const stale = Object.values(current).filter((t) => {
+      const seg = !t.deleted && segments[t.segment_id];
+      return seg?.details && seg.details !== t.snapshot?.details;
+    });
+    if (stale.length === 0) return;
+    change((prev) => {
+      const updated = { ...prev };
+      for (const { segment_id } of stale) {
+        updated[segment_id] = { ...updated[segment_id], snapshot: snapshotOf(segments[segment_id]) };
+      }
+      return updated;
+    });
+  }, [change]);
+
+  const targets = useMemo(
+    () => Object.values(all).filter((t) => !t.deleted).sort((a, b) => a.added_at - b.added_at),
+    [all]
+  );
+  const targetIds = useMemo(() => new Set(targets.map((t) => String(t.segment_id))), [targets]);
+
+  return {
+    targets,           // active targets, oldest first
+    targetIds,         // Set of segment IDs (strings, like the segments map keys)
+    pin,
+    unpin,
+    update,
+    refreshSnapshots,
+    syncEnabled,
+    setSyncEnabled,
+    syncError,
+  };
+}
+
+function snapshotOf(segment) {
+  if (!segment) return null;
+  const { data, details, surface } = segment;
+  return { data, details, surface };
+}
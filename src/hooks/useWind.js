@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { WIND_PROVIDERS, windCell } from '../lib/wind.js';
+
+/**
+ * Resolves the wind vector used by the difficulty model.
+ *
+ * Settings (persisted in localStorage by App):
+ *   { mode: 'off' }
+ *   { mode: 'manual', speed, direction }
+ *   { mode: 'provider', provider }      — key of WIND_PROVIDERS
+ *
+ * In provider mode the wind is looked up for the centre of the current map
+ * bounds. Results are cached per ~10 km grid cell so panning around one area
+ * doesn't hit the weather API again, and carry that `cell`: the difficulty
+ * model applies them only to segments starting in it (see windAt).
+ */
+export function useWind(settings, mapBounds) {
+  const [providerWind, setProviderWind] = useState(null);
+  const [error, setError] = useState(null);
+  const cacheRef = useRef(new Map());
+
+  const mode = settings?.mode || 'off';
+  const providerKey = settings?.provider;
+
+  const center = mapBounds
+    ? [(mapBounds[0] + mapBounds[2]) / 2, (mapBounds[1] + mapBounds[3]) / 2]
+    : null;
+  const cell = center ? windCell(center[0], center[1]) : null;
+  const cellKey = cell ? `${providerKey}:${cell}` : null;
+
+  useEffect(() => {
+    if (mode !== 'provider' || !cellKey) return;
+    const provider = WIND_PROVIDERS[providerKey];
+    if (!provider) return;
+
+    if (cacheRef.current.has(cellKey)) {
+      setProviderWind(cacheRef.current.get(cellKey));
+      return;
+    }
+
+    let cancelled = false;
+    provider
+      .getWind(center[0], center[1])
+      .then(({ speed, direction }) => {
+        const wind = { speed, direction, cell };
+        cacheRef.current.set(cellKey, wind);
+        if (!cancelled) {
+          setProviderWind(wind);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        console.warn('Wind lookup failed:', err);
+        if (!cancelled) setError('Winddaten konnten nicht geladen werden.');
+      });
+    return () => { cancelled = true; };
+  }, [mode, providerKey, cellKey]);
+
+  // Stable identity, so difficulty calculations memoised on `wind` aren't redone every render
+  const wind = useMemo(() => {
+    if (mode === 'manual' && settings.speed > 0) {
+      return { speed: settings.speed, direction: settings.direction || 0 };
+    }
+    if (mode === 'provider') return providerWind;
+    return null;
+  }, [mode, settings?.speed, settings?.direction, providerWind]);
+
+  return { wind, error: mode === 'provider' ? error : null };
+}
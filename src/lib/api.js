@@ -1,20 +1,101 @@
-async function workerRequest(path, token, method = 'GET') {
-  const res = await fetch(path, {
-    method,
-    headers: { Authorization: `Bearer ${token}` },
-  });
+import { parseRateLimit, recordRateLimit, schedule, PRIORITY } from './rateLimit.js';
+import { recordStats } from './personalRecords.js';
+
+/**
+ * Worker requests may hit Strava on a cache miss, so they share the
+ * Strava queue. The Worker forwards Strava's rate-limit headers whenever
+ * it called Strava; those are recorded in the shared budget.
+ */
+async function workerRequest(path, token, { method = 'GET', body, priority = PRIORITY.USER } = {}) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  const res = await schedule(
+    () =>
+      fetch(path, {
+        method,
+        headers,
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+      }),
+    priority
+  );
+  recordRateLimit(res.headers);
   if (!res.ok) {
     const err = new Error(`Worker error: ${res.status}`);
     err.status = res.status;
+    if (res.status === 429) {
+      err.rateLimit = parseRateLimit(res.headers);
+    }
     throw err;
   }
   return res.json();
 }
 
-export function getSegmentDetail(token, id) {
-  return workerRequest(`/api/segments/${id}`, token);
+/**
+ * The caller's PR rides along whenever the Worker reached Strava. It goes
+ * to the per-athlete store, not into the (shared) details object.
+ */
+function takeAthleteStats(id, { athlete_segment_stats, ...details }) {
+  recordStats({ [id]: athlete_segment_stats });
+  return details;
+}
+
+export async function getSegmentDetail(token, id) {
+  return takeAthleteStats(id, await workerRequest(`/api/segments/${id}`, token));
+}
+
+export async function refreshSegment(token, id) {
+  return takeAthleteStats(id, await workerRequest(`/api/segments/${id}/refresh`, token, { method: 'POST' }));
+}
+
+// D1 only — never reaches Strava
+export function getSegmentHistory(token, id) {
+  return workerRequest(`/api/segments/${id}/history`, token);
+}
+
+// Loaded in the background after an explore — deferred when the budget is low
+export async function getSegmentDetails(token, ids) {
+  const { athleteStats, ...result } = await workerRequest('/api/segments/batch', token, {
+    method: 'POST',
+    body: { ids },
+    priority: PRIORITY.BACKGROUND,
+  });
+  recordStats(athleteStats);
+  return result;
+}
+
+// The Worker resolves the token to the athlete — no ID is sent
+export function getTargets(token) {
+  return workerRequest('/api/targets', token, { priority: PRIORITY.BACKGROUND });
+}
+
+export function putTargets(token, targets) {
+  return workerRequest('/api/targets', token, {
+    method: 'PUT',
+    body: { targets },
+    priority: PRIORITY.BACKGROUND,
+  });
 }
 
-export function refreshSegment(token, id) {
-  return workerRequest(`/api/segments/${id}/refresh`, token, 'POST');
+export function exploreCached(token, bounds) {
+  const boundsStr = bounds.map((b) => b.toFixed(6)).join(',');
+  return workerRequest(`/api/explore?bounds=${boundsStr}`, token);
+}
+
+/**
+ * Segments already in the Worker's D1 cache — never reaches Strava.
+ * Returns one page; pass the previous nextCursor to continue.
+ *
+ * @param {[number,number,number,number]} bounds - [SW_lat, SW_lng, NE_lat, NE_lng]
+ * @param {object} [filters] - minGrade, maxGrade, minDistance, maxDistance, surface, limit
+ * @param {number|null} [cursor]
+ * @returns {Promise<{ segments: Array, nextCursor: number|null }>}
+ */
+export function querySegmentCache(token, bounds, filters = {}, cursor = null) {
+  const params = new URLSearchParams({ bounds: bounds.map((b) => b.toFixed(6)).join(',') });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value != null && value !== '') params.set(key, value);
+  }
+  if (cursor != null) params.set('cursor', cursor);
+  return workerRequest(`/api/segments?${params}`, token);
 }
@@ -1,3 +1,6 @@
+// Vite's build-time env; absent when the lib modules run under `node --test`
+const env = import.meta.env || {};
+
 // Strava API base URL
 export const STRAVA_API = 'https://www.strava.com/api/v3';
 
@@ -7,20 +10,24 @@ export const STRAVA_CLIENT_ID = 202156;
 
 
 // OAuth redirect: back to the app root
-export const REDIRECT_URI = `${window.location.origin}/`;
+export const REDIRECT_URI = `${globalThis.location?.origin ?? ''}/`;
 
 // Map defaults
 export const DEFAULT_CENTER = [47.37, 8.54]; // Zürich
 export const DEFAULT_ZOOM = 13;
 export const MIN_ZOOM_FOR_SEGMENTS = 12;
 
-// Tile layer (CARTO Dark — fits the dark UI)
-export const TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+// Tile layer (CARTO Dark — fits the dark UI); VITE_TILE_URL points it at a local mock server
+export const TILE_URL =
+  env.VITE_TILE_URL || 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
 export const TILE_ATTRIBUTION =
   '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a> &copy; <a href="https://carto.com/">CARTO</a>';
 
-// Segment colors
-export const COLOR_DEFAULT = '#FC5200';
+// Place search provider (see geocoding.js); VITE_GEOCODER=fixture searches a local list instead
+export const GEOCODER = env.VITE_GEOCODER || 'nominatim';
+
+// Segment colors — rated segments use their difficulty class colour
+export const COLOR_UNRATED = '#8888A8';
 export const COLOR_ACTIVE = '#3B82F6';
 
 // Debounce delay for map moves (ms)
@@ -32,7 +39,19 @@ export const LS_REFRESH_TOKEN = 'strava_refresh_token';
 export const LS_TOKEN_EXPIRES = 'strava_token_expires';
 export const LS_GENDER_TYPE = 'strava_gender_type';
 export const LS_RIDER_MASS = 'rider_mass';
+export const LS_POWER_PROFILE = 'rider_power_profile';
+export const LS_WIND = 'wind_settings';
 export const LS_BIKE_PROFILE = 'strava_bike_profile';
+export const LS_RATE_LIMIT = 'strava_rate_limit';
+export const LS_SORT = 'segment_sort';
+export const LS_MAP_VIEW = 'map_view';
+export const LS_TARGETS = 'segment_targets';
+export const LS_TARGETS_SYNC = 'segment_targets_sync';
+export const LS_PERSONAL_RECORDS = 'personal_records';   // + ':<athleteId>'
+export const LS_RECENT_SEARCHES = 'recent_searches';
+
+// SessionStorage keys
+export const SS_PENDING_LINK = 'pending_share_link';
 
 // Bike profile physics constants
 // Crr keys match Strava's surface_type field ('paved' | 'unpaved')
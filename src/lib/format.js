@@ -0,0 +1,18 @@
+/**
+ * Display formatting shared by the segment card, the detail drawer and the
+ * what-if calculator.
+ */
+
+export function formatDistance(meters) {
+  if (meters == null) return '—';
+  if (meters >= 1000) return `${(meters / 1000).toFixed(1)} km`;
+  return `${Math.round(meters)} m`;
+}
+
+// Whole seconds as m:ss, or h:mm:ss from an hour on
+export function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
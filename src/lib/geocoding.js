@@ -0,0 +1,77 @@
+import { GEOCODER } from './constants.js';
+
+/**
+ * Place search for the top bar.
+ *
+ * Providers turn a free-text query into places. Each one has the shape
+ *   { label, search(query) → Promise<Array<{ label, latlng: [lat, lng], bounds? }>> }
+ * with bounds as [SW_lat, SW_lng, NE_lat, NE_lng] where the service knows
+ * the extent, so a new service only needs an entry in GEOCODERS.
+ * VITE_GEOCODER picks one; Nominatim is the default.
+ */
+
+const MAX_RESULTS = 5;
+
+/**
+ * Nominatim (OpenStreetMap, free, no API key).
+ * https://nominatim.org/release-docs/latest/api/Search/
+ * The usage policy allows one request per second and no autocomplete, so
+ * it is only asked when a search is submitted.
+ */
+const nominatimProvider = {
+  label: 'Nominatim',
+  async search(query) {
+    const params = new URLSearchParams({
+      q: query,
+      format: 'jsonv2',
+      limit: String(MAX_RESULTS),
+      'accept-language': 'de',
+    });
+    const res = await fetch(`https://nominatim.openstreetmap.org/search?${params}`);
+    if (!res.ok) {
+      const err = new Error(`Geocoder error: ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    const places = await res.json();
+    return places.map((place) => {
+      // boundingbox is [south, north, west, east], as strings
+      const [south, north, west, east] = place.boundingbox.map(Number);
+      return {
+        label: place.display_name,
+        latlng: [Number(place.lat), Number(place.lon)],
+        bounds: [south, west, north, east],
+      };
+    });
+  },
+};
+
+/**
+ * Local fixture for development and tests — no network.
+ * A handful of places around the default map centre, matched by name.
+ */
+const FIXTURE_PLACES = [
+  { label: 'Zürich, Schweiz', latlng: [47.3744, 8.5410], bounds: [47.3202, 8.4480, 47.4346, 8.6254] },
+  { label: 'Uetliberg, Zürich, Schweiz', latlng: [47.3496, 8.4913] },
+  { label: 'Albispass, Langnau am Albis, Schweiz', latlng: [47.2797, 8.5144] },
+  { label: 'Winterthur, Schweiz', latlng: [47.4991, 8.7291], bounds: [47.4387, 8.6548, 47.5443, 8.8101] },
+  { label: 'Bern, Schweiz', latlng: [46.9481, 7.4474], bounds: [46.9190, 7.2944, 46.9901, 7.4957] },
+  { label: '80331 München, Deutschland', latlng: [48.1374, 11.5755] },
+];
+
+const fixtureProvider = {
+  label: 'Fixture',
+  async search(query) {
+    const needle = query.trim().toLowerCase();
+    return FIXTURE_PLACES.filter((place) => place.label.toLowerCase().includes(needle)).slice(0, MAX_RESULTS);
+  },
+};
+
+export const GEOCODERS = {
+  nominatim: nominatimProvider,
+  fixture: fixtureProvider,
+};
+
+export function getGeocoder() {
+  return Object.hasOwn(GEOCODERS, GEOCODER) ? GEOCODERS[GEOCODER] : GEOCODERS.nominatim;
+}
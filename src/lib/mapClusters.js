@@ -0,0 +1,41 @@
+/**
+ * Grid clustering for map markers.
+ *
+ * Items are bucketed by the screen cell their projected position falls
+ * into — cheap enough to redo on every zoom, and stable while panning
+ * because cells are aligned to the projection origin, not the viewport.
+ *
+ * @param {Array<T>} items
+ * @param {(item: T) => { x: number, y: number }} toPixel - Projected position in layer pixels
+ * @param {number} cellSize - Cell edge in pixels
+ * @returns {Array<Array<T>>} One array per occupied cell
+ * @template T
+ */
+export function clusterByGrid(items, toPixel, cellSize) {
+  const cells = new Map();
+  for (const item of items) {
+    const { x, y } = toPixel(item);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    const cell = cells.get(key);
+    if (cell) cell.push(item);
+    else cells.set(key, [item]);
+  }
+  return [...cells.values()];
+}
+
+/**
+ * Easiest and hardest rated member of a cluster.
+ *
+ * @param {Array<{ rating: { score: number } | undefined }>} members
+ * @returns {{ best: object | null, worst: object | null }} Ratings, null when none is rated
+ */
+export function ratingRange(members) {
+  let best = null;
+  let worst = null;
+  for (const { rating } of members) {
+    if (!rating) continue;
+    if (!best || rating.score < best.score) best = rating;
+    if (!worst || rating.score > worst.score) worst = rating;
+  }
+  return { best, worst };
+}
@@ -0,0 +1,71 @@
+import { LS_PERSONAL_RECORDS } from './constants.js';
+
+/**
+ * The signed-in athlete's own PR per segment (Strava's athlete_segment_stats).
+ *
+ * Unlike segment details this is per user: the Worker only passes it
+ * through, and here it is kept in localStorage under the athlete's ID, so a
+ * second account on the same browser never sees someone else's PRs.
+ * Stats that arrive before the athlete is known are held until setAthlete().
+ *
+ * Record: { pr_elapsed_time: number|null, pr_date: string|null, effort_count: number, fetched_at: number }
+ */
+
+let athleteId = null;
+let records = {};
+let pending = {};
+const listeners = new Set();
+
+function storageKey(id) {
+  return `${LS_PERSONAL_RECORDS}:${id}`;
+}
+
+export function setAthlete(id) {
+  if (id === athleteId) return;
+  athleteId = id;
+  try {
+    records = JSON.parse(localStorage.getItem(storageKey(id))) || {};
+  } catch {
+    records = {};
+  }
+  const buffered = pending;
+  pending = {};
+  recordStats(buffered);
+  notify();
+}
+
+/**
+ * @param {{ [segmentId]: object|null }} statsById - athlete_segment_stats per segment
+ */
+export function recordStats(statsById) {
+  const entries = Object.entries(statsById || {}).filter(([, stats]) => stats);
+  if (entries.length === 0) return;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (athleteId == null) {
+    for (const [id, stats] of entries) pending[id] = { ...stats, fetched_at: now };
+    return;
+  }
+
+  records = { ...records };
+  for (const [id, stats] of entries) records[id] = { ...stats, fetched_at: now };
+  try {
+    localStorage.setItem(storageKey(athleteId), JSON.stringify(records));
+  } catch {
+    // Quota — keep the in-memory copy for this session
+  }
+  notify();
+}
+
+export function getRecords() {
+  return records;
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify() {
+  for (const listener of listeners) listener();
+}
@@ -1,3 +1,17 @@
+/**
+ * Geometry helpers for segment and route polylines.
+ *
+ * Coordinates are [lat, lng] pairs throughout; distances are in meters.
+ * Bounds are [SW_lat, SW_lng, NE_lat, NE_lng], the same order the map and
+ * the explore calls use.
+ *
+ * Planar work (simplification, point-to-line distance, overlap) runs in a
+ * local equirectangular projection around the data — accurate to well
+ * under a meter at segment and route scale.
+ */
+
+// ── Encoded polylines ─────────────────────────────────────────────
+
 /**
  * Decodes a Google Encoded Polyline string into an array of [lat, lng] pairs.
  *
@@ -8,38 +22,278 @@
  * Spec: https://developers.google.com/maps/documentation/utilities/polylinealgorithm
  *
  * @param {string} encoded - The encoded polyline string
+ * @param {number} [precision] - Decimal places: 5 (Google, Strava) or 6 (OSRM, Valhalla)
  * @returns {Array<[number, number]>} Array of [latitude, longitude] pairs
  */
-export function decodePolyline(encoded) {
+export function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
   const coords = [];
   let index = 0;
   let lat = 0;
   let lng = 0;
 
-  while (index < encoded.length) {
-    // Decode latitude delta
+  // Deltas are accumulated as plain numbers: at precision 6 the values no
+  // longer fit the 32-bit range the bit operators work in
+  const next = () => {
     let b;
-    let shift = 0;
+    let shift = 1;
     let result = 0;
     do {
       b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
-    } while (b >= 0x20);
-    lat += result & 1 ? ~(result >> 1) : result >> 1;
-
-    // Decode longitude delta
-    shift = 0;
-    result = 0;
-    do {
-      b = encoded.charCodeAt(index++) - 63;
-      result |= (b & 0x1f) << shift;
-      shift += 5;
+      result += (b & 0x1f) * shift;
+      shift *= 32;
     } while (b >= 0x20);
-    lng += result & 1 ? ~(result >> 1) : result >> 1;
+    return result % 2 ? -(result + 1) / 2 : result / 2;
+  };
 
-    coords.push([lat / 1e5, lng / 1e5]);
+  while (index < encoded.length) {
+    lat += next();
+    lng += next();
+    coords.push([lat / factor, lng / factor]);
   }
 
   return coords;
 }
+
+/**
+ * Encodes [lat, lng] pairs as a Google Encoded Polyline — the inverse of
+ * decodePolyline. The mock server (scripts/mock-server.js) builds its fake
+ * segment geometry with it.
+ *
+ * @param {Array<[number, number]>} coords
+ * @param {number} [precision] - Decimal places, 5 or 6
+ * @returns {string}
+ */
+export function encodePolyline(coords, precision = 5) {
+  const factor = 10 ** precision;
+  let out = '';
+  let prevLat = 0;
+  let prevLng = 0;
+
+  const push = (delta) => {
+    let value = delta < 0 ? -2 * delta - 1 : 2 * delta;
+    while (value >= 0x20) {
+      out += String.fromCharCode((0x20 | (value % 32)) + 63);
+      value = Math.floor(value / 32);
+    }
+    out += String.fromCharCode(value + 63);
+  };
+
+  for (const [lat, lng] of coords) {
+    const iLat = Math.round(lat * factor);
+    const iLng = Math.round(lng * factor);
+    push(iLat - prevLat);
+    push(iLng - prevLng);
+    prevLat = iLat;
+    prevLng = iLng;
+  }
+  return out;
+}
+
+// ── Distance and direction ────────────────────────────────────────
+
+const EARTH_RADIUS = 6371000; // meters
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LNG = 111320;
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Great-circle distance between two [lat, lng] points (haversine).
+ *
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number} Distance in meters
+ */
+export function distanceBetween([lat1, lng1], [lat2, lng2]) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Initial compass bearing from a to b.
+ *
+ * @param {[number, number]} a
+ * @param {[number, number]} b
+ * @returns {number} Bearing in degrees, 0 = north, 90 = east
+ */
+export function bearing([lat1, lng1], [lat2, lng2]) {
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Distance from the first point to every point along the line.
+ *
+ * @param {Array<[number, number]>} coords
+ * @returns {number[]} Same length as coords, starting at 0
+ */
+export function cumulativeDistances(coords) {
+  const cumulative = coords.length ? [0] : [];
+  for (let i = 1; i < coords.length; i++) {
+    cumulative.push(cumulative[i - 1] + distanceBetween(coords[i - 1], coords[i]));
+  }
+  return cumulative;
+}
+
+/**
+ * @param {Array<[number, number]>} coords
+ * @returns {number} Length in meters
+ */
+export function polylineLength(coords) {
+  const cumulative = cumulativeDistances(coords);
+  return cumulative.length ? cumulative[cumulative.length - 1] : 0;
+}
+
+// ── Bounds ────────────────────────────────────────────────────────
+
+/**
+ * @param {Array<[number, number]>} coords
+ * @returns {[number, number, number, number]|null} null for no points
+ */
+export function boundingBox(coords) {
+  if (!coords.length) return null;
+  let [swLat, swLng] = coords[0];
+  let [neLat, neLng] = coords[0];
+  for (const [lat, lng] of coords) {
+    if (lat < swLat) swLat = lat;
+    if (lat > neLat) neLat = lat;
+    if (lng < swLng) swLng = lng;
+    if (lng > neLng) neLng = lng;
+  }
+  return [swLat, swLng, neLat, neLng];
+}
+
+/**
+ * Grow bounds by a margin on every side.
+ *
+ * @param {[number, number, number, number]} bounds
+ * @param {number} meters
+ */
+export function padBounds([swLat, swLng, neLat, neLng], meters) {
+  const padLat = meters / M_PER_DEG_LAT;
+  const padLng = meters / (M_PER_DEG_LNG * Math.cos(toRad((swLat + neLat) / 2)));
+  return [swLat - padLat, swLng - padLng, neLat + padLat, neLng + padLng];
+}
+
+export function boundsContain([swLat, swLng, neLat, neLng], [lat, lng]) {
+  return lat >= swLat && lat <= neLat && lng >= swLng && lng <= neLng;
+}
+
+export function boundsIntersect(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+// ── Planar helpers ────────────────────────────────────────────────
+
+/**
+ * Flat projection to meters around a reference latitude.
+ *
+ * @param {number} lat0
+ * @returns {(latlng: [number, number]) => [number, number]} [x east, y north] in meters
+ */
+export function localProjection(lat0) {
+  const kx = M_PER_DEG_LNG * Math.cos(toRad(lat0));
+  return ([lat, lng]) => [lng * kx, lat * M_PER_DEG_LAT];
+}
+
+function meanLatitude(coords) {
+  return coords.reduce((sum, [lat]) => sum + lat, 0) / coords.length;
+}
+
+/**
+ * Closest point to p on the segment a–b, all projected.
+ *
+ * @returns {{ distance: number, t: number }} t in [0, 1] along a→b
+ */
+export function closestOnSegment([px, py], [ax, ay], [bx, by]) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+  return { distance: Math.hypot(px - (ax + t * dx), py - (ay + t * dy)), t };
+}
+
+/**
+ * Distance from a point to a polyline and where along it the closest spot lies.
+ *
+ * @param {[number, number]} point
+ * @param {Array<[number, number]>} coords
+ * @returns {{ distance: number, along: number, index: number }|null} index = start of the closest edge
+ */
+export function pointToPolyline(point, coords) {
+  if (coords.length === 0) return null;
+  const project = localProjection(point[0]);
+  const p = project(point);
+  const xy = coords.map(project);
+  if (xy.length === 1) return { distance: Math.hypot(p[0] - xy[0][0], p[1] - xy[0][1]), along: 0, index: 0 };
+
+  let best = null;
+  let along = 0;
+  for (let i = 0; i < xy.length - 1; i++) {
+    const edge = Math.hypot(xy[i + 1][0] - xy[i][0], xy[i + 1][1] - xy[i][1]);
+    const { distance, t } = closestOnSegment(p, xy[i], xy[i + 1]);
+    if (!best || distance < best.distance) best = { distance, along: along + t * edge, index: i };
+    along += edge;
+  }
+  return best;
+}
+
+/**
+ * Douglas–Peucker simplification.
+ *
+ * @param {Array<[number, number]>} coords
+ * @param {number} tolerance - Max deviation in meters
+ * @returns {Array<[number, number]>} Subset of coords, ends kept
+ */
+export function simplifyPolyline(coords, tolerance) {
+  if (coords.length < 3) return coords.slice();
+  const xy = coords.map(localProjection(meanLatitude(coords)));
+  const keep = new Uint8Array(coords.length);
+  keep[0] = 1;
+  keep[coords.length - 1] = 1;
+
+  // Iterative to stay clear of the call-stack limit on long tracks
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const { distance } = closestOnSegment(xy[i], xy[first], xy[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+/**
+ * Share of a's points lying within tolerance of polyline b — 1 when a runs
+ * entirely along b. Not symmetric: a short a on a long b overlaps fully.
+ *
+ * @param {Array<[number, number]>} a
+ * @param {Array<[number, number]>} b
+ * @param {number} tolerance - Meters
+ * @returns {number} 0–1
+ */
+export function polylineOverlap(a, b, tolerance) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const box = padBounds(boundingBox(b), tolerance);
+  const near = a.filter((p) => boundsContain(box, p) && pointToPolyline(p, b).distance <= tolerance);
+  return near.length / a.length;
+}
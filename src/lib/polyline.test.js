@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decodePolyline,
+  encodePolyline,
+  distanceBetween,
+  boundingBox,
+  padBounds,
+  boundsContain,
+  boundsIntersect,
+  pointToPolyline,
+  simplifyPolyline,
+  polylineOverlap,
+} from './polyline.js';
+
+// Google's reference example from the polyline algorithm spec
+const GOOGLE_POINTS = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+const GOOGLE_ENCODED = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+const EXTREMES = [[0, 0], [90, 180], [-90, -180], [89.99999, -179.99999], [-45.12345, 0.00001]];
+
+// ~1.1 m per 1e-5 degrees of latitude
+const offsetNorth = ([lat, lng], meters) => [lat + meters / 110540, lng];
+
+function assertCoordsClose(actual, expected, precision) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach(([lat, lng], i) => {
+    assert.ok(Math.abs(lat - expected[i][0]) < 10 ** -precision, `lat ${i}: ${lat} vs ${expected[i][0]}`);
+    assert.ok(Math.abs(lng - expected[i][1]) < 10 ** -precision, `lng ${i}: ${lng} vs ${expected[i][1]}`);
+  });
+}
+
+test('decodePolyline reads the reference string', () => {
+  assertCoordsClose(decodePolyline(GOOGLE_ENCODED), GOOGLE_POINTS, 5);
+});
+
+test('encodePolyline writes the reference string', () => {
+  assert.equal(encodePolyline(GOOGLE_POINTS), GOOGLE_ENCODED);
+});
+
+for (const precision of [5, 6]) {
+  test(`encode/decode round-trip at precision ${precision}, including ±90/±180`, () => {
+    const encoded = encodePolyline(EXTREMES, precision);
+    assertCoordsClose(decodePolyline(encoded, precision), EXTREMES, precision);
+    assert.equal(encodePolyline(decodePolyline(encoded, precision), precision), encoded);
+  });
+}
+
+test('decodePolyline of an empty string is an empty line', () => {
+  assert.deepEqual(decodePolyline(''), []);
+  assert.equal(encodePolyline([]), '');
+});
+
+test('distanceBetween matches a degree of latitude', () => {
+  const d = distanceBetween([47, 8], [48, 8]);
+  assert.ok(Math.abs(d - 111195) < 10, String(d));
+});
+
+test('boundingBox and padBounds', () => {
+  assert.equal(boundingBox([]), null);
+  assert.deepEqual(boundingBox([[47.1, 8.5], [47.3, 8.2], [47.2, 8.9]]), [47.1, 8.2, 47.3, 8.9]);
+
+  // The flat projection is good to about 1 %
+  const [swLat, swLng, neLat, neLng] = padBounds([47, 8, 47.1, 8.1], 1000);
+  assert.ok(Math.abs(distanceBetween([swLat, 8], [47, 8]) - 1000) < 10);
+  assert.ok(Math.abs(distanceBetween([neLat, 8.1], [47.1, 8.1]) - 1000) < 10);
+  assert.ok(Math.abs(distanceBetween([47.05, swLng], [47.05, 8]) - 1000) < 10);
+  assert.ok(Math.abs(distanceBetween([47.05, neLng], [47.05, 8.1]) - 1000) < 10);
+});
+
+test('boundsContain includes the edges', () => {
+  const bounds = [47, 8, 48, 9];
+  assert.ok(boundsContain(bounds, [47.5, 8.5]));
+  assert.ok(boundsContain(bounds, [47, 8]));
+  assert.ok(boundsContain(bounds, [48, 9]));
+  assert.ok(!boundsContain(bounds, [46.99, 8.5]));
+  assert.ok(!boundsContain(bounds, [47.5, 9.01]));
+});
+
+test('boundsIntersect', () => {
+  const bounds = [47, 8, 48, 9];
+  assert.ok(boundsIntersect(bounds, [47.5, 8.5, 49, 10]));
+  assert.ok(boundsIntersect(bounds, [47.2, 8.2, 47.3, 8.3]), 'contained');
+  assert.ok(boundsIntersect(bounds, [48, 9, 49, 10]), 'touching corner');
+  assert.ok(!boundsIntersect(bounds, [48.1, 8, 49, 9]));
+  assert.ok(!boundsIntersect(bounds, [47, 9.1, 48, 10]));
+});
+
+test('pointToPolyline measures to the closest edge', () => {
+  const line = [[47, 8], [47, 8.01], [47, 8.02]];
+  const hit = pointToPolyline(offsetNorth([47, 8.015], 50), line);
+  assert.ok(Math.abs(hit.distance - 50) < 0.5, String(hit.distance));
+  assert.equal(hit.index, 1);
+  assert.ok(Math.abs(hit.along - distanceBetween([47, 8], [47, 8.015])) < 2, String(hit.along));
+
+  // Beyond the end the closest spot is the last point
+  const past = pointToPolyline([47, 8.03], line);
+  assert.ok(Math.abs(past.distance - distanceBetween([47, 8.02], [47, 8.03])) < 1);
+  assert.equal(past.index, 1);
+
+  assert.equal(pointToPolyline([47, 8], []), null);
+  assert.ok(Math.abs(pointToPolyline(offsetNorth([47, 8], 20), [[47, 8]]).distance - 20) < 0.5);
+});
+
+test('simplifyPolyline drops points within the tolerance and keeps the ends', () => {
+  const straight = [[47, 8], offsetNorth([47, 8.005], 2), [47, 8.01], offsetNorth([47, 8.015], -2), [47, 8.02]];
+  assert.deepEqual(simplifyPolyline(straight, 5), [straight[0], straight[4]]);
+  // The middle point lies on the line between its jittered neighbours
+  assert.deepEqual(simplifyPolyline(straight, 1), [straight[0], straight[1], straight[3], straight[4]]);
+
+  // A 100 m step survives, the 2 m jitter on either side of it does not
+  const step = [
+    [47, 8], offsetNorth([47, 8.005], 2), [47, 8.01],
+    offsetNorth([47, 8.01], 100), offsetNorth([47, 8.015], 98), offsetNorth([47, 8.02], 100),
+  ];
+  assert.deepEqual(simplifyPolyline(step, 5), [step[0], step[2], step[3], step[5]]);
+
+  assert.deepEqual(simplifyPolyline([[47, 8], [47, 8.01]], 5), [[47, 8], [47, 8.01]]);
+});
+
+test('polylineOverlap is the share of points near the other line', () => {
+  const route = [[47, 8], [47, 8.02]];
+  const along = [[47, 8.005], [47, 8.01], [47, 8.015]];
+  assert.equal(polylineOverlap(along, route, 10), 1);
+
+  const half = [[47, 8.01], [47, 8.015], offsetNorth([47, 8.015], 200), offsetNorth([47, 8.01], 200)];
+  assert.equal(polylineOverlap(half, route, 10), 0.5);
+
+  // Not symmetric: the long route only partly follows the short line
+  assert.ok(polylineOverlap(route, along, 10) < 1);
+  assert.equal(polylineOverlap([], route, 10), 0);
+});
@@ -0,0 +1,197 @@
+import { LS_RATE_LIMIT } from './constants.js';
+
+/**
+ * Shared Strava rate-limit budget and request queue.
+ *
+ * Every response that carries Strava's rate-limit headers — direct calls
+ * from strava.js and Worker responses that forward them — is recorded here
+ * and persisted in localStorage, so the budget survives reloads.
+ *
+ * All Strava-bound requests go through schedule(). User-triggered work
+ * (PRIORITY.USER) always runs. Background work (PRIORITY.BACKGROUND) is
+ * held back while fewer than BACKGROUND_RESERVE calls remain in the
+ * 15-minute window, and resumes when the next window starts.
+ *
+ * https://developers.strava.com/docs/rate-limits/
+ */
+
+export const PRIORITY = { USER: 0, BACKGROUND: 1 };
+
+const MAX_CONCURRENT = 6;
+const BACKGROUND_RESERVE = 30;
+const WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Parse Strava's rate-limit headers into a structured object.
+ * Each header is two comma-separated values: 15-minute, then daily.
+ * Both the overall and the read-specific limits are considered; a window
+ * counts as exceeded if either set has usage >= limit.
+ */
+export function parseRateLimit(headers) {
+  const pair = (name) => {
+    const v = headers.get(name);
+    if (!v) return null;
+    const [a, b] = v.split(',').map((n) => parseInt(n.trim(), 10));
+    return Number.isFinite(a) && Number.isFinite(b) ? [a, b] : null;
+  };
+
+  const limit = pair('x-ratelimit-limit');
+  const usage = pair('x-ratelimit-usage');
+  const readLimit = pair('x-readratelimit-limit');
+  const readUsage = pair('x-readratelimit-usage');
+
+  if (!usage && !readUsage) return null;
+
+  const exceeded = (i) =>
+    (!!usage && !!limit && usage[i] >= limit[i]) ||
+    (!!readUsage && !!readLimit && readUsage[i] >= readLimit[i]);
+
+  return {
+    fifteenMinExceeded: exceeded(0),
+    dailyExceeded: exceeded(1),
+    usage,
+    limit,
+    readUsage,
+    readLimit,
+  };
+}
+
+// ── Budget tracker ──────────────────────────────────────────────
+
+let state = load();
+const listeners = new Set();
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(LS_RATE_LIMIT)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function windowStart(ts) {
+  return Math.floor(ts / WINDOW_MS) * WINDOW_MS;
+}
+
+function dayStart(ts) {
+  const d = new Date(ts);
+  d.setUTCHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/**
+ * Record the rate-limit headers of a response. No-op if it has none.
+ */
+export function recordRateLimit(headers) {
+  const parsed = parseRateLimit(headers);
+  if (!parsed) return;
+  const { usage, limit, readUsage, readLimit } = parsed;
+  state = { usage, limit, readUsage, readLimit, updatedAt: Date.now() };
+  try {
+    localStorage.setItem(LS_RATE_LIMIT, JSON.stringify(state));
+  } catch {
+    // Storage full — the in-memory state still works
+  }
+  listeners.forEach((fn) => fn());
+  pump();
+}
+
+/**
+ * Calls left in the current 15-minute window and day, taking the tighter
+ * of the overall and read limits. A window that has rolled over since the
+ * last response counts as unused. null = no headers seen yet.
+ *
+ * @returns {{ fifteenMin: number|null, daily: number|null, fifteenMinLimit: number|null }}
+ */
+export function getRemaining() {
+  if (!state) return { fifteenMin: null, daily: null, fifteenMinLimit: null };
+  const now = Date.now();
+  const { usage, limit, readUsage, readLimit, updatedAt } = state;
+  const freshWindow = updatedAt < windowStart(now);
+  const freshDay = updatedAt < dayStart(now);
+
+  const remaining = (i, fresh) => {
+    const values = [];
+    if (usage && limit) values.push(limit[i] - (fresh ? 0 : usage[i]));
+    if (readUsage && readLimit) values.push(readLimit[i] - (fresh ? 0 : readUsage[i]));
+    return values.length ? Math.max(0, Math.min(...values)) : null;
+  };
+
+  const limits = [limit?.[0], readLimit?.[0]].filter(Number.isFinite);
+  return {
+    fifteenMin: remaining(0, freshWindow || freshDay),
+    daily: remaining(1, freshDay),
+    fifteenMinLimit: limits.length ? Math.min(...limits) : null,
+  };
+}
+
+/**
+ * Subscribe to budget and queue changes. Returns an unsubscribe function.
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ── Request queue ───────────────────────────────────────────────
+
+const queue = [];
+let running = 0;
+let resumeTimer = null;
+
+/**
+ * Run a request through the queue.
+ *
+ * @param {() => Promise<any>} task - Performs the request
+ * @param {number} priority - PRIORITY.USER or PRIORITY.BACKGROUND
+ * @returns {Promise<any>} Resolves/rejects with the task's result
+ */
+export function schedule(task, priority = PRIORITY.USER) {
+  return new Promise((resolve, reject) => {
+    queue.push({ task, priority, resolve, reject });
+    // Stable sort: user work first, FIFO within a priority
+    queue.sort((a, b) => a.priority - b.priority);
+    pump();
+  });
+}
+
+/** Number of requests currently held back by the budget */
+export function deferredCount() {
+  return canRunBackground() ? 0 : queue.filter((q) => q.priority === PRIORITY.BACKGROUND).length;
+}
+
+function canRunBackground() {
+  const { fifteenMin } = getRemaining();
+  return fifteenMin == null || fifteenMin > BACKGROUND_RESERVE;
+}
+
+function pump() {
+  while (running < MAX_CONCURRENT && queue.length > 0) {
+    const next = queue[0];
+    if (next.priority === PRIORITY.BACKGROUND && !canRunBackground()) {
+      scheduleResume();
+      break;
+    }
+    queue.shift();
+    running++;
+    next
+      .task()
+      .then(next.resolve, next.reject)
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+  listeners.forEach((fn) => fn());
+}
+
+// Re-check deferred work shortly after the next 15-minute window opens
+function scheduleResume() {
+  if (resumeTimer) return;
+  const now = Date.now();
+  const delay = windowStart(now) + WINDOW_MS - now + 1000;
+  resumeTimer = setTimeout(() => {
+    resumeTimer = null;
+    pump();
+  }, delay);
+}
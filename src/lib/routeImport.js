@@ -0,0 +1,210 @@
+/**
+ * Route file parsing — GPX, TCX and FIT, entirely in the browser.
+ *
+ * Every parser returns { name, points } with points as
+ * { latlng: [lat, lng], altitude: number|null } in ride order.
+ * Throws an Error with a user-facing (German) message when the file holds
+ * no usable track.
+ */
+
+const ROUTE_EXTENSIONS = ['gpx', 'tcx', 'fit'];
+
+export function isRouteFile(file) {
+  return ROUTE_EXTENSIONS.includes(extensionOf(file.name));
+}
+
+/**
+ * @param {File} file
+ * @returns {Promise<{ name: string, points: Array<{ latlng: [number, number], altitude: number|null }> }>}
+ */
+export async function parseRouteFile(file) {
+  const fallbackName = file.name.replace(/\.[^.]+$/, '');
+  let route;
+  switch (extensionOf(file.name)) {
+    case 'gpx':
+      route = parseGpx(await file.text());
+      break;
+    case 'tcx':
+      route = parseTcx(await file.text());
+      break;
+    case 'fit':
+      route = parseFit(await file.arrayBuffer());
+      break;
+    default:
+      throw new Error('Nur GPX-, TCX- und FIT-Dateien werden unterstützt.');
+  }
+  if (route.points.length < 2) throw new Error('Die Datei enthält keinen Track.');
+  return { name: route.name || fallbackName, points: route.points };
+}
+
+function extensionOf(filename) {
+  return filename.split('.').pop().toLowerCase();
+}
+
+// ── GPX / TCX ─────────────────────────────────────────────────────
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Die Datei ist kein gültiges XML.');
+  }
+  return doc;
+}
+
+// Namespace-agnostic: GPX 1.0/1.1 and TCX v2 all use default namespaces
+function childText(el, name) {
+  const child = el.getElementsByTagNameNS('*', name)[0];
+  return child ? child.textContent.trim() : null;
+}
+
+function toNumber(text) {
+  const n = text == null ? NaN : parseFloat(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function parseGpx(text) {
+  const doc = parseXml(text);
+  // Tracks first; a planned route without a track only has route points
+  let nodes = [...doc.getElementsByTagNameNS('*', 'trkpt')];
+  if (nodes.length === 0) nodes = [...doc.getElementsByTagNameNS('*', 'rtept')];
+
+  const points = [];
+  for (const node of nodes) {
+    const lat = toNumber(node.getAttribute('lat'));
+    const lng = toNumber(node.getAttribute('lon'));
+    if (lat == null || lng == null) continue;
+    points.push({ latlng: [lat, lng], altitude: toNumber(childText(node, 'ele')) });
+  }
+
+  const trk = doc.getElementsByTagNameNS('*', 'trk')[0] || doc.getElementsByTagNameNS('*', 'rte')[0];
+  const name = (trk && childText(trk, 'name')) || childText(doc.documentElement, 'name');
+  return { name, points };
+}
+
+export function parseTcx(text) {
+  const doc = parseXml(text);
+  const points = [];
+  for (const node of doc.getElementsByTagNameNS('*', 'Trackpoint')) {
+    const position = node.getElementsByTagNameNS('*', 'Position')[0];
+    if (!position) continue; // pauses and sensor-only samples
+    const lat = toNumber(childText(position, 'LatitudeDegrees'));
+    const lng = toNumber(childText(position, 'LongitudeDegrees'));
+    if (lat == null || lng == null) continue;
+    points.push({ latlng: [lat, lng], altitude: toNumber(childText(node, 'AltitudeMeters')) });
+  }
+
+  const course = doc.getElementsByTagNameNS('*', 'Course')[0];
+  return { name: course ? childText(course, 'Name') : null, points };
+}
+
+// ── FIT ───────────────────────────────────────────────────────────
+// Only what a route needs: record messages (position, altitude) and the
+// course name. https://developer.garmin.com/fit/protocol/
+
+const FIT_MESG_RECORD = 20;
+const FIT_MESG_COURSE = 31;
+const FIT_FIELD_LAT = 0;
+const FIT_FIELD_LNG = 1;
+const FIT_FIELD_ALTITUDE = 2;
+const FIT_FIELD_ENHANCED_ALTITUDE = 78;
+const FIT_FIELD_COURSE_NAME = 5;
+const SEMICIRCLES_TO_DEG = 180 / 2 ** 31;
+const SINT32_INVALID = 0x7fffffff;
+const FIT_CORRUPT = 'Die FIT-Datei ist beschädigt.';
+
+export function parseFit(buffer) {
+  const view = new DataView(buffer);
+  if (buffer.byteLength < 12) throw new Error('Die FIT-Datei ist zu kurz.');
+  const headerSize = view.getUint8(0);
+  const signature = String.fromCharCode(...new Uint8Array(buffer, 8, 4));
+  if (signature !== '.FIT') throw new Error('Die Datei ist keine FIT-Datei.');
+
+  const end = Math.min(buffer.byteLength, headerSize + view.getUint32(4, true));
+  const definitions = {};
+  const points = [];
+  let name = null;
+  let offset = headerSize;
+
+  // Sizes come from the file itself — check them against the data size, so a
+  // truncated or damaged file gets our message instead of a RangeError
+  const need = (bytes) => {
+    if (offset + bytes > end) throw new Error(FIT_CORRUPT);
+  };
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+
+    if (!(header & 0x80) && header & 0x40) {
+      // Definition message
+      need(5);
+      const local = header & 0x0f;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const global = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+      need(fieldCount * 3);
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ num: view.getUint8(offset), size: view.getUint8(offset + 1) });
+        offset += 3;
+      }
+      let devSize = 0;
+      if (header & 0x20) {
+        need(1);
+        const devCount = view.getUint8(offset++);
+        need(devCount * 3);
+        for (let i = 0; i < devCount; i++) devSize += view.getUint8(offset + i * 3 + 1);
+        offset += devCount * 3;
+      }
+      definitions[local] = { global, littleEndian, fields, devSize };
+      continue;
+    }
+
+    // Data message — normal or compressed-timestamp header
+    const local = header & 0x80 ? (header >> 5) & 0x03 : header & 0x0f;
+    const def = definitions[local];
+    if (!def) throw new Error(FIT_CORRUPT);
+    need(def.fields.reduce((sum, { size }) => sum + size, 0) + def.devSize);
+
+    const values = {};
+    for (const { num, size } of def.fields) {
+      values[num] = { offset, size };
+      offset += size;
+    }
+    offset += def.devSize;
+
+    if (def.global === FIT_MESG_RECORD) {
+      const point = fitRecordPoint(view, values, def.littleEndian);
+      if (point) points.push(point);
+    } else if (def.global === FIT_MESG_COURSE && values[FIT_FIELD_COURSE_NAME]) {
+      const { offset: at, size } = values[FIT_FIELD_COURSE_NAME];
+      name = new TextDecoder().decode(new Uint8Array(buffer, at, size)).replace(/\0.*$/s, '') || null;
+    }
+  }
+
+  return { name, points };
+}
+
+function fitRecordPoint(view, values, littleEndian) {
+  const lat = values[FIT_FIELD_LAT];
+  const lng = values[FIT_FIELD_LNG];
+  if (lat?.size !== 4 || lng?.size !== 4) return null;
+  const rawLat = view.getInt32(lat.offset, littleEndian);
+  const rawLng = view.getInt32(lng.offset, littleEndian);
+  if (rawLat === SINT32_INVALID || rawLng === SINT32_INVALID) return null;
+
+  // Altitude: scale 5, offset 500; the enhanced field wins when present
+  let altitude = null;
+  const enhanced = values[FIT_FIELD_ENHANCED_ALTITUDE];
+  const plain = values[FIT_FIELD_ALTITUDE];
+  if (enhanced?.size === 4) {
+    const raw = view.getUint32(enhanced.offset, littleEndian);
+    if (raw !== 0xffffffff) altitude = raw / 5 - 500;
+  }
+  if (altitude == null && plain?.size === 2) {
+    const raw = view.getUint16(plain.offset, littleEndian);
+    if (raw !== 0xffff) altitude = raw / 5 - 500;
+  }
+
+  return { latlng: [rawLat * SEMICIRCLES_TO_DEG, rawLng * SEMICIRCLES_TO_DEG], altitude };
+}
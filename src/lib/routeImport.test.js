@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFit } from './routeImport.js';
+
+const DEG_TO_SEMICIRCLES = 2 ** 31 / 180;
+
+/**
+ * A minimal FIT file: one record definition (lat, lng as sint32) and a data
+ * message per point. `fieldSize` and `devFields` shape the definition.
+ */
+function fitFile(points, { fieldSize = 4, devFields = null } = {}) {
+  const bytes = [];
+  const u32 = (v) => [v & 0xff, (v >>> 8) & 0xff, (v >>> 16) & 0xff, (v >>> 24) & 0xff];
+
+  bytes.push(devFields ? 0x60 : 0x40, 0, 0, 20, 0, 2, 0, fieldSize, 0x85, 1, fieldSize, 0x85);
+  if (devFields) bytes.push(devFields.length, ...devFields.flatMap((size) => [0, size, 0]));
+  for (const [lat, lng] of points) {
+    bytes.push(0, ...u32(Math.round(lat * DEG_TO_SEMICIRCLES)), ...u32(Math.round(lng * DEG_TO_SEMICIRCLES)));
+  }
+
+  const header = [12, 0x10, 0, 0, ...u32(bytes.length), ...'.FIT'.split('').map((c) => c.charCodeAt(0))];
+  return new Uint8Array([...header, ...bytes]).buffer;
+}
+
+test('parseFit reads record positions', () => {
+  const { points } = parseFit(fitFile([[47.37, 8.54], [47.38, 8.55]]));
+  assert.equal(points.length, 2);
+  assert.ok(Math.abs(points[1].latlng[0] - 47.38) < 1e-6);
+  assert.ok(Math.abs(points[1].latlng[1] - 8.55) < 1e-6);
+  assert.equal(points[1].altitude, null);
+});
+
+test('parseFit reports damaged files in German instead of a RangeError', () => {
+  const damaged = {
+    truncated: fitFile([[47.37, 8.54], [47.38, 8.55]]).slice(0, -3),
+    'field size past the end': fitFile([[47.37, 8.54]], { fieldSize: 200 }),
+    'dev data past the end': fitFile([[47.37, 8.54]], { devFields: [255, 255] }),
+    'definition cut off': fitFile([]).slice(0, 16),
+  };
+  for (const [label, buffer] of Object.entries(damaged)) {
+    assert.throws(() => parseFit(buffer), { message: 'Die FIT-Datei ist beschädigt.' }, label);
+  }
+});
+
+test('parseFit rejects files without the FIT signature', () => {
+  assert.throws(() => parseFit(new ArrayBuffer(4)), { message: 'Die FIT-Datei ist zu kurz.' });
+  assert.throws(() => parseFit(new ArrayBuffer(16)), { message: 'Die Datei ist keine FIT-Datei.' });
+});
@@ -0,0 +1,139 @@
+import {
+  decodePolyline,
+  cumulativeDistances,
+  boundingBox,
+  padBounds,
+  localProjection,
+  closestOnSegment,
+  simplifyPolyline,
+} from './polyline.js';
+
+/**
+ * Segments along an imported route.
+ *
+ * Exploring: the route is cut into pieces of CORRIDOR_BOX_LENGTH, each
+ * explored as its bounding box plus CORRIDOR_PADDING — a chain of small
+ * boxes instead of one box around the whole ride.
+ *
+ * Matching: a segment counts as "on the route" when most of its polyline
+ * lies within MATCH_TOLERANCE of the track and it is ridden in the same
+ * direction. Route edges are indexed in a grid, so each segment point
+ * only looks at the few edges nearby.
+ */
+
+const CORRIDOR_BOX_LENGTH = 2000; // m of track per explore box
+const CORRIDOR_PADDING = 250;     // m around each box
+const ROUTE_SIMPLIFY = 3;         // m, Douglas–Peucker tolerance for the imported track
+const MATCH_TOLERANCE = 35;       // m between segment and route
+const MIN_OVERLAP = 0.8;          // share of segment points near the route
+const GRID_CELL = 200;            // m, spatial index of route edges
+
+/**
+ * @param {string} name
+ * @param {Array<{ latlng: [number, number], altitude: number|null }>} points - From parseRouteFile
+ * @returns {{ name, latlngs: Array<[number, number]>, cumulative: number[], length: number }}
+ *   Recorded tracks carry a point every second or so; the simplified line is
+ *   plenty for drawing and matching
+ */
+export function buildRoute(name, points) {
+  const latlngs = simplifyPolyline(points.map((p) => p.latlng), ROUTE_SIMPLIFY);
+  const cumulative = cumulativeDistances(latlngs);
+  return { name, latlngs, cumulative, length: cumulative[cumulative.length - 1] };
+}
+
+/**
+ * Explore boxes along the route, in ride order.
+ *
+ * @returns {Array<[number, number, number, number]>} [SW_lat, SW_lng, NE_lat, NE_lng]
+ */
+export function corridorBoxes(route, boxLength = CORRIDOR_BOX_LENGTH, padding = CORRIDOR_PADDING) {
+  const { latlngs, cumulative } = route;
+  const boxes = [];
+  let start = 0;
+  while (start < latlngs.length - 1) {
+    let end = start + 1;
+    while (end < latlngs.length - 1 && cumulative[end] - cumulative[start] < boxLength) end++;
+
+    boxes.push(padBounds(boundingBox(latlngs.slice(start, end + 1)), padding));
+    start = end;
+  }
+  return boxes;
+}
+
+/**
+ * Segments whose polyline runs along the route, in ride order.
+ *
+ * @param {object} route - From buildRoute
+ * @param {{ [id]: { data } }} segments
+ * @returns {Array<{ id: string, startDistance: number, endDistance: number }>} distances along the route in m
+ */
+export function matchSegmentsToRoute(route, segments) {
+  const index = indexRoute(route);
+  const matches = [];
+
+  for (const [id, seg] of Object.entries(segments)) {
+    if (!seg.data.points) continue;
+    // Cheap reject before decoding: the start has to be near the track
+    if (!nearestOnRoute(index, seg.data.start_latlng)) continue;
+
+    const coords = decodePolyline(seg.data.points);
+    const hits = coords.map((c) => nearestOnRoute(index, c));
+    const matched = hits.filter(Boolean);
+    if (matched.length < 2 || matched.length / coords.length < MIN_OVERLAP) continue;
+
+    const startDistance = matched[0].along;
+    const endDistance = matched[matched.length - 1].along;
+    if (endDistance <= startDistance) continue; // ridden the other way
+
+    matches.push({ id, startDistance, endDistance });
+  }
+
+  return matches.sort((a, b) => a.startDistance - b.startDistance);
+}
+
+// ── Spatial index ─────────────────────────────────────────────────
+
+function indexRoute({ latlngs, cumulative }) {
+  const project = localProjection(latlngs.reduce((sum, [lat]) => sum + lat, 0) / latlngs.length);
+  const xy = latlngs.map(project);
+
+  // Every edge goes into each grid cell its tolerance-padded bbox touches
+  const cells = new Map();
+  for (let i = 0; i < xy.length - 1; i++) {
+    const [x1, y1] = xy[i];
+    const [x2, y2] = xy[i + 1];
+    const cx1 = Math.floor((Math.min(x1, x2) - MATCH_TOLERANCE) / GRID_CELL);
+    const cx2 = Math.floor((Math.max(x1, x2) + MATCH_TOLERANCE) / GRID_CELL);
+    const cy1 = Math.floor((Math.min(y1, y2) - MATCH_TOLERANCE) / GRID_CELL);
+    const cy2 = Math.floor((Math.max(y1, y2) + MATCH_TOLERANCE) / GRID_CELL);
+    for (let cx = cx1; cx <= cx2; cx++) {
+      for (let cy = cy1; cy <= cy2; cy++) {
+        const key = `${cx}:${cy}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(i);
+      }
+    }
+  }
+
+  return { xy, cumulative, cells, project };
+}
+
+/**
+ * Closest route position within MATCH_TOLERANCE, or null.
+ *
+ * @returns {{ distance: number, along: number }|null} along = m from the route start
+ */
+function nearestOnRoute({ xy, cumulative, cells, project }, latlng) {
+  const p = project(latlng);
+  const edges = cells.get(`${Math.floor(p[0] / GRID_CELL)}:${Math.floor(p[1] / GRID_CELL)}`);
+  if (!edges) return null;
+
+  let best = null;
+  for (const i of edges) {
+    const { distance, t } = closestOnSegment(p, xy[i], xy[i + 1]);
+    if (distance <= MATCH_TOLERANCE && (!best || distance < best.distance)) {
+      best = { distance, along: cumulative[i] + t * (cumulative[i + 1] - cumulative[i]) };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,68 @@
+import { LS_RECENT_SEARCHES } from './constants.js';
+
+/**
+ * Top-bar search: what a query means, and the recent picks.
+ *
+ * A pick has the shape { label, latlng?, bounds?, segmentId? } — a place
+ * or coordinates to fly to, or a Strava segment to load and select.
+ */
+
+const MAX_RECENT = 8;
+// Shorter bare numbers are postcodes ("8001", "80331"), not segment IDs
+const MIN_SEGMENT_ID_DIGITS = 6;
+
+const SEGMENT_URL = /strava\.com\/segments\/(\d+)/i;
+// Any ID with an explicit prefix: "segment 12345", "s:12345", "#12345"
+const SEGMENT_PREFIX = /^(?:(?:segment|s)\s*:?\s*|#)(\d+)$/i;
+const COORDINATES = /^(-?\d{1,2}(?:\.\d+)?)\s*[,;\s]\s*(-?\d{1,3}(?:\.\d+)?)$/;
+
+/**
+ * @param {string} text
+ * @returns {{ type: 'segment', segmentId: number }
+ *   | { type: 'coordinates', latlng: [number, number] }
+ *   | { type: 'place', query: string }
+ *   | null} null for an empty query
+ */
+export function parseSearchQuery(text) {
+  const query = text.trim();
+  if (!query) return null;
+
+  const explicit = query.match(SEGMENT_URL) || query.match(SEGMENT_PREFIX);
+  if (explicit) return { type: 'segment', segmentId: Number(explicit[1]) };
+  if (new RegExp(`^\\d{${MIN_SEGMENT_ID_DIGITS},}$`).test(query)) {
+    return { type: 'segment', segmentId: Number(query) };
+  }
+
+  const coords = query.match(COORDINATES);
+  if (coords) {
+    const lat = Number(coords[1]);
+    const lng = Number(coords[2]);
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) return { type: 'coordinates', latlng: [lat, lng] };
+  }
+
+  return { type: 'place', query };
+}
+
+export function loadRecentSearches() {
+  try {
+    const recent = JSON.parse(localStorage.getItem(LS_RECENT_SEARCHES));
+    return Array.isArray(recent) ? recent : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Put a pick at the top of the recent list, dropping an older copy of it.
+ *
+ * @returns {Array<object>} The updated list
+ */
+export function addRecentSearch(pick) {
+  const recent = [pick, ...loadRecentSearches().filter((r) => r.label !== pick.label)].slice(0, MAX_RECENT);
+  try {
+    localStorage.setItem(LS_RECENT_SEARCHES, JSON.stringify(recent));
+  } catch {
+    console.warn('Failed to store recent searches');
+  }
+  return recent;
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchQuery } from './search.js';
+import { GEOCODERS } from './geocoding.js';
+
+test('parseSearchQuery treats bare numbers up to five digits as places', () => {
+  assert.deepEqual(parseSearchQuery('8001'), { type: 'place', query: '8001' });
+  assert.deepEqual(parseSearchQuery(' 80331 '), { type: 'place', query: '80331' });
+});
+
+test('parseSearchQuery recognises segment IDs, prefixes and links', () => {
+  assert.deepEqual(parseSearchQuery('229781'), { type: 'segment', segmentId: 229781 });
+  assert.deepEqual(parseSearchQuery('segment 80331'), { type: 'segment', segmentId: 80331 });
+  assert.deepEqual(parseSearchQuery('Segment:123'), { type: 'segment', segmentId: 123 });
+  assert.deepEqual(parseSearchQuery('s:12345'), { type: 'segment', segmentId: 12345 });
+  assert.deepEqual(parseSearchQuery('#4321'), { type: 'segment', segmentId: 4321 });
+  assert.deepEqual(
+    parseSearchQuery('https://www.strava.com/segments/12345?filter=overall'),
+    { type: 'segment', segmentId: 12345 }
+  );
+});
+
+test('parseSearchQuery reads coordinates and rejects out-of-range ones', () => {
+  assert.deepEqual(parseSearchQuery('47.37, 8.54'), { type: 'coordinates', latlng: [47.37, 8.54] });
+  assert.deepEqual(parseSearchQuery('-33.9;18.4'), { type: 'coordinates', latlng: [-33.9, 18.4] });
+  assert.deepEqual(parseSearchQuery('95, 8.54'), { type: 'place', query: '95, 8.54' });
+});
+
+test('parseSearchQuery returns null for an empty query', () => {
+  assert.equal(parseSearchQuery('   '), null);
+});
+
+test('a postcode query reaches the fixture geocoder', async () => {
+  const query = parseSearchQuery('80331');
+  assert.equal(query.type, 'place');
+  const places = await GEOCODERS.fixture.search(query.query);
+  assert.deepEqual(places.map((p) => p.label), ['80331 München, Deutschland']);
+});
+
+test('the fixture geocoder matches by name, case-insensitively', async () => {
+  const places = await GEOCODERS.fixture.search('ZÜRICH');
+  assert.deepEqual(places.map((p) => p.label), ['Zürich, Schweiz', 'Uetliberg, Zürich, Schweiz']);
+  assert.ok(places[0].bounds);
+  assert.deepEqual(await GEOCODERS.fixture.search('Atlantis'), []);
+});
@@ -1,94 +1,139 @@
 /**
- * Simple localStorage cache for Strava segment details.
+ * IndexedDB store for explored segments, so a reload keeps the map.
  *
- * Storage format per key "seg:{id}":
- *   { details: {...}, ts: timestamp }
+ * Object store "segments", one record per segment:
+ *   { id, data, details, surface, ts }
+ * data is the explore summary (incl. polyline), details the Worker/D1
+ * record or null; ts is the last time the record was written.
  *
- * - TTL: 30 days (configurable)
- * - Gracefully handles quota errors and corrupt entries
+ * - TTL: 30 days since the last write; expired records are dropped on load
+ * - At most MAX_SEGMENTS records; the least recently written are evicted
+ * - Every failure (private mode, quota, blocked upgrade) degrades to
+ *   "no cache" — callers never see an exception
  */
 
-const PREFIX = 'seg:';
+const DB_NAME = 'komqom';
+const DB_VERSION = 1;
+const STORE = 'segments';
 const TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_SEGMENTS = 5000;
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('ts', 'ts');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      // Allow a retry later instead of caching the failure
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
 
 /**
- * Get cached details for a segment ID.
- * Returns the details object or null if missing/expired.
+ * Load every unexpired segment, deleting expired ones on the way.
+ *
+ * @returns {Promise<Array<{ id: number, data: object, details: object|null, surface: string }>>}
  */
-export function getCachedDetails(segmentId) {
+export async function loadCachedSegments() {
   try {
-    const raw = localStorage.getItem(PREFIX + segmentId);
-    if (!raw) return null;
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    const cutoff = Date.now() - TTL_MS;
+    const segments = [];
 
-    const entry = JSON.parse(raw);
-    if (Date.now() - entry.ts > TTL_MS) {
-      // Expired — clean up
-      localStorage.removeItem(PREFIX + segmentId);
-      return null;
-    }
+    tx.objectStore(STORE).openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const { ts, ...record } = cursor.value;
+      if (ts < cutoff) cursor.delete();
+      else segments.push(record);
+      cursor.continue();
+    };
 
-    return entry.details;
-  } catch {
-    // Corrupt entry — remove it
-    localStorage.removeItem(PREFIX + segmentId);
-    return null;
+    await done(tx);
+    return segments;
+  } catch (err) {
+    console.warn('Segment cache unavailable:', err);
+    return [];
   }
 }
 
 /**
- * Store details for a segment ID.
+ * Insert or update segments, then evict beyond MAX_SEGMENTS.
+ *
+ * @param {Array<{ id: number, data: object, details: object|null, surface: string }>} segments
  */
-export function setCachedDetails(segmentId, details) {
+export async function saveCachedSegments(segments) {
+  if (segments.length === 0) return;
   try {
-    localStorage.setItem(
-      PREFIX + segmentId,
-      JSON.stringify({ details, ts: Date.now() })
-    );
-  } catch {
-    // localStorage full — evict oldest entries and retry once
-    evictOldest(20);
-    try {
-      localStorage.setItem(
-        PREFIX + segmentId,
-        JSON.stringify({ details, ts: Date.now() })
-      );
-    } catch {
-      // Still full — give up silently
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const ts = Date.now();
+    for (const { id, data, details, surface } of segments) {
+      store.put({ id, data, details, surface, ts });
     }
+    await done(tx);
+    await evictOldest(db);
+  } catch (err) {
+    console.warn('Failed to write segment cache:', err);
   }
 }
 
 /**
  * Remove all cached segments (e.g. for a manual cache clear).
  */
-export function clearSegmentCache() {
-  const keys = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key?.startsWith(PREFIX)) keys.push(key);
+export async function clearSegmentCache() {
+  try {
+    const db = await openDB();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).clear();
+    await done(tx);
+  } catch (err) {
+    console.warn('Failed to clear segment cache:', err);
   }
-  keys.forEach((k) => localStorage.removeItem(k));
 }
 
 /**
- * Evict the N oldest cached entries to free space.
+ * Delete the least recently written records beyond MAX_SEGMENTS.
  */
-function evictOldest(n) {
-  const entries = [];
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (!key?.startsWith(PREFIX)) continue;
-    try {
-      const { ts } = JSON.parse(localStorage.getItem(key));
-      entries.push({ key, ts });
-    } catch {
-      // Corrupt — remove immediately
-      localStorage.removeItem(key);
-    }
-  }
+async function evictOldest(db) {
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+
+  store.count().onsuccess = (e) => {
+    let excess = e.target.result - MAX_SEGMENTS;
+    if (excess <= 0) return;
+    store.index('ts').openCursor().onsuccess = (ev) => {
+      const cursor = ev.target.result;
+      if (!cursor || excess <= 0) return;
+      cursor.delete();
+      excess--;
+      cursor.continue();
+    };
+  };
 
-  entries
-    .sort((a, b) => a.ts - b.ts)
-    .slice(0, n)
-    .forEach((e) => localStorage.removeItem(e.key));
-}
\ No newline at end of file
+  await done(tx);
+}
@@ -1,4 +1,6 @@
 import { BIKE_PROFILES } from './constants.js';
+import { decodePolyline, cumulativeDistances, bearing } from './polyline.js';
+import { headwindComponent, windAt } from './wind.js';
 
 // ============================================================================
 // KONSTANTEN
@@ -10,16 +12,35 @@ const PHYSICS = {
   eta: 0.98, // Antriebseffizienz [-]
 };  
 
-// 3-P CP Model für "Good" Level (Coggan)
-const CP_MODEL = {
-  Pmax: 21.80,       // Peak Power [W/kg]
-  CP: 4.77,          // Critical Power [W/kg]
-  Wprime: 280,       // Anaerobe Kapazität [J/kg]
+// 3-P CP Modell je Leistungsniveau (Coggan)
+// "Good" ist die ursprüngliche Referenz, die übrigen Level sind darum herum abgestuft.
+// Pmax: Peak Power [W/kg], CP: Critical Power [W/kg], Wprime: Anaerobe Kapazität [J/kg]
+const POWER_LEVELS = {
+  untrained:   { label: 'Untrained',   Pmax: 11.00, CP: 2.20, Wprime: 150 },
+  fair:        { label: 'Fair',        Pmax: 14.50, CP: 3.00, Wprime: 190 },
+  moderate:    { label: 'Moderate',    Pmax: 18.00, CP: 3.90, Wprime: 235 },
+  good:        { label: 'Good',        Pmax: 21.80, CP: 4.77, Wprime: 280 },
+  veryGood:    { label: 'Very good',   Pmax: 23.50, CP: 5.30, Wprime: 310 },
+  excellent:   { label: 'Excellent',   Pmax: 25.00, CP: 5.80, Wprime: 340 },
+  exceptional: { label: 'Exceptional', Pmax: 26.50, CP: 6.30, Wprime: 370 },
+  worldClass:  { label: 'World class', Pmax: 28.00, CP: 6.80, Wprime: 400 },
 };
 
-// Vorberechnet
-const APR = CP_MODEL.Pmax - CP_MODEL.CP;  // 17.03
-const W_APR = CP_MODEL.Wprime * APR;       // 4768.4
+// Standard-Referenz, wenn kein persönliches Profil gesetzt ist
+const CP_MODEL = POWER_LEVELS.good;
+
+// Best-Effort-Dauern für den Modell-Fit [s]
+const EFFORT_DURATIONS = [5, 60, 300, 1200];
+
+// Höhenprofil-Modell
+const SECTION_LENGTH = 100;  // Ziel-Länge pro Abschnitt [m]
+const MAX_SPEED = 50;        // Obergrenze für die Geschwindigkeitssuche [m/s]
+const MAX_POWER = 5000;      // Obergrenze für die Leistungssuche [W]
+const SOLVER_STEPS = 50;     // Max. Iterationen (Newton, sonst Bisektion)
+const SOLVER_TOLERANCE = 1e-9; // Relative Genauigkeit der Lösung [-]
+
+// Ergebnis-Cache pro Segment-Objekt (neues Objekt bei jeder Änderung am Segment)
+const RESULT_CACHE_MAX = 8;  // Einträge pro Segment (Fahrer, Rad, Profil, Wind)
 
 // ============================================================================
 // DIFFICULTY CLASSES
@@ -42,10 +63,11 @@ const DIFFICULTY_CLASSES = [
 /**
  * Parst KOM-Zeit String zu Sekunden
  * Unterstützt: "1:23", "5:30", "1:23:45", "45" (nur Sekunden)
- * @param {string} timeStr - Zeit als String
+ * @param {string|number} timeStr - Zeit als String (Zahlen gelten als Sekunden)
  * @returns {number|null} - Sekunden oder null wenn ungültig
  */
 function parseKomTime(timeStr) {
+  if (typeof timeStr === 'number') return Number.isFinite(timeStr) ? timeStr : null;
   if (!timeStr || timeStr === '—') return null;
   
   // Entferne Whitespace
@@ -75,11 +97,68 @@ function parseKomTime(timeStr) {
 /**
  * Referenz-Power für eine gegebene Dauer (3-P CP Model)
  * @param {number} t - Dauer in Sekunden
- * @returns {number} - Referenz W/kg für "Good" Level
+ * @param {{ Pmax: number, CP: number, Wprime: number }} model - Standard: "Good" Level
+ * @returns {number} - Referenz W/kg
+ */
+function referencePower(t, model = CP_MODEL) {
+  const { Pmax, CP, Wprime } = model;
+  if (t <= 0) return Pmax;
+  const apr = Pmax - CP;
+  return CP + (Wprime * apr) / (Wprime + apr * t);
+}
+
+/**
+ * Fittet das 3-P CP Modell an Best-Effort-Werte
+ * Bei festem CP ist 1 / (P - CP) = 1 / (Pmax - CP) + t / W' linear in t.
+ * CP wird abgetastet, Pmax und W' per linearer Regression bestimmt; gewählt wird
+ * das CP mit dem kleinsten quadratischen Fehler in W/kg.
+ * @param {Array<{ duration: number, power: number }>} efforts - Dauer [s] + Leistung [W/kg]
+ * @returns {{ Pmax: number, CP: number, Wprime: number }|null} - null wenn kein gültiger Fit
  */
-function referencePower(t) {
-  if (t <= 0) return CP_MODEL.Pmax;
-  return CP_MODEL.CP + W_APR / (CP_MODEL.Wprime + APR * t);
+function fitPowerModel(efforts) {
+  const points = (efforts || []).filter((e) => e.duration > 0 && e.power > 0);
+  if (points.length < 3) return null;
+
+  const minPower = Math.min(...points.map((e) => e.power));
+  let best = null;
+
+  for (let CP = 0.5; CP < minPower - 0.01; CP += 0.01) {
+    // Lineare Regression von 1 / (P - CP) auf t
+    const n = points.length;
+    const xs = points.map((e) => e.duration);
+    const ys = points.map((e) => 1 / (e.power - CP));
+    const xMean = xs.reduce((a, b) => a + b, 0) / n;
+    const yMean = ys.reduce((a, b) => a + b, 0) / n;
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - xMean) * (ys[i] - yMean);
+      sxx += (xs[i] - xMean) * (xs[i] - xMean);
+    }
+    const slope = sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    if (!(slope > 0) || !(intercept > 0)) continue;
+
+    const model = { Pmax: CP + 1 / intercept, CP, Wprime: 1 / slope };
+    const error = points.reduce((sum, e) => sum + (referencePower(e.duration, model) - e.power) ** 2, 0);
+    if (!best || error < best.error) best = { model, error };
+  }
+
+  return best ? best.model : null;
+}
+
+/**
+ * Löst ein gespeichertes Fahrerprofil in Modellparameter auf
+ * @param {{ mode: 'level'|'manual'|'fit', level?: string, Pmax?: number, CP?: number, Wprime?: number }|null} powerProfile
+ * @returns {{ Pmax: number, CP: number, Wprime: number }} - Fällt auf "Good" zurück
+ */
+function resolvePowerModel(powerProfile) {
+  if (!powerProfile) return CP_MODEL;
+  if (powerProfile.mode === 'level') return POWER_LEVELS[powerProfile.level] || CP_MODEL;
+
+  const { Pmax, CP, Wprime } = powerProfile;
+  if (CP > 0 && Pmax > CP && Wprime > 0) return { Pmax, CP, Wprime };
+  return CP_MODEL;
 }
 
 /**
@@ -88,12 +167,13 @@ function referencePower(t) {
  * @param {number} elevation - Höhenmeter
  * @param {number} timeSeconds - Zeit in Sekunden
  * @param {number} riderMass - Fahrergewicht in kg
- * @param {{ CdA: number, bikeMass: number, Crr: number }} profilePhysics
- * @returns {{ P_total: number, P_totalWkg: number }}
+ * @param {{ CdA: number, bikeMass: number, Crr: number, rho?: number }} profilePhysics - rho: Luftdichte, sonst PHYSICS.rho
+ * @returns {{ P_total: number, P_totalWkg: number, breakdown: { gravity: number, rolling: number, aero: number } }}
+ *   breakdown: Anteile am Pedal (inkl. Antriebsverlust), Summe = P_total (rollt es von selbst: alle 0)
  */
 function calculateRequiredW(distance, elevation, timeSeconds, riderMass, profilePhysics) {
-  const { g, rho, eta } = PHYSICS;
-  const { CdA, bikeMass, Crr } = profilePhysics;
+  const { g, eta } = PHYSICS;
+  const { CdA, bikeMass, Crr, rho = PHYSICS.rho } = profilePhysics;
 
   const v = distance / timeSeconds;
   const grade = Math.min(elevation / distance, 0.99);
@@ -106,7 +186,231 @@ function calculateRequiredW(distance, elevation, timeSeconds, riderMass, profile
 
   const P_total = Math.max(0, (P_gravity + P_rolling + P_aero) / eta);
   const P_totalWkg = P_total / riderMass;
-  return { P_total, P_totalWkg };
+  const breakdown = P_total > 0
+    ? { gravity: P_gravity / eta, rolling: P_rolling / eta, aero: P_aero / eta }
+    : { gravity: 0, rolling: 0, aero: 0 };
+  return { P_total, P_totalWkg, breakdown };
+}
+
+/**
+ * Teilt ein Höhenprofil in Abschnitte mit konstanter Steigung
+ * Punkte werden zusammengefasst, bis ein Abschnitt mindestens sectionLength lang ist
+ * (glättet GPS-/Höhenrauschen).
+ * Haben die Punkte Koordinaten, bekommt jeder Abschnitt seine Fahrtrichtung (für Wind).
+ * @param {Array<{distance: number, altitude: number, latlng?: [number, number]}>} points - Kumulative Distanz [m] + Höhe [m]
+ * @param {number} sectionLength - Ziel-Länge pro Abschnitt in Metern
+ * @returns {Array<{distance: number, grade: number, bearing: number|null}>} - Abschnitte (Länge [m], Steigung [-], Richtung [°])
+ */
+function buildSections(points, sectionLength = SECTION_LENGTH) {
+  if (!points || points.length < 2) return [];
+
+  const sections = [];
+  let start = points[0];
+  for (let i = 1; i < points.length; i++) {
+    const p = points[i];
+    const d = p.distance - start.distance;
+    if (d >= sectionLength || (i === points.length - 1 && d > 0)) {
+      const grade = Math.max(-0.99, Math.min((p.altitude - start.altitude) / d, 0.99));
+      const heading = start.latlng && p.latlng ? bearing(start.latlng, p.latlng) : null;
+      sections.push({ distance: d, grade, bearing: heading });
+      start = p;
+    }
+  }
+  return sections;
+}
+
+/**
+ * Baut ein Höhenprofil aus der Polyline, wenn kein Höhen-Stream geladen ist
+ * Die Höhe wird linear über die Strecke verteilt (mittlere Steigung), die Distanz
+ * auf die Segmentlänge skaliert. Liefert so zumindest die Fahrtrichtung pro Abschnitt.
+ * @param {Array<[number, number]>} coords - Dekodierte Polyline
+ * @param {number} distance - Segmentlänge in Metern
+ * @param {number} elevation - Höhenmeter
+ * @returns {Array<{distance: number, altitude: number, latlng: [number, number]}>}
+ */
+function polylineProfile(coords, distance, elevation) {
+  if (!coords || coords.length < 2) return [];
+
+  const cumulative = cumulativeDistances(coords);
+  const length = cumulative[cumulative.length - 1];
+  if (length <= 0) return [];
+
+  return coords.map((latlng, i) => ({
+    distance: (cumulative[i] / length) * distance,
+    altitude: (cumulative[i] / length) * elevation,
+    latlng,
+  }));
+}
+
+/**
+ * Luftwiderstand bei Gegen-/Rückenwind
+ * Die Anströmgeschwindigkeit ist v + headwind; das Vorzeichen bleibt erhalten,
+ * damit starker Rückenwind schiebt.
+ * @param {number} v - Geschwindigkeit [m/s]
+ * @param {number} headwind - Gegenwindkomponente [m/s], negativ = Rückenwind
+ * @param {number} CdA - Luftwiderstandsfläche [m²]
+ * @param {number} rho - Luftdichte [kg/m³]
+ * @returns {number} - Leistung in Watt
+ */
+function aeroPower(v, headwind, CdA, rho = PHYSICS.rho) {
+  const airSpeed = v + headwind;
+  return 0.5 * rho * CdA * airSpeed * Math.abs(airSpeed) * v;
+}
+
+/**
+ * Nullstelle einer Funktion mit einem Vorzeichenwechsel in [lo, hi]
+ * Newton-Schritte ab dem Startwert; fällt ein Schritt aus dem Intervall, wird halbiert.
+ * Das Intervall schrumpft mit jedem Schritt, die Lösung ist also so sicher wie die Bisektion.
+ * @param {(x: number) => { value: number, slope: number }} fn - Wert + Ableitung; value < 0 links der Nullstelle
+ * @param {number} lo - Untere Grenze
+ * @param {number} hi - Obere Grenze
+ * @param {number} guess - Startwert (z.B. Lösung des letzten Aufrufs)
+ * @returns {number}
+ */
+function solveRoot(fn, lo, hi, guess) {
+  let x = guess > lo && guess < hi ? guess : (lo + hi) / 2;
+  for (let i = 0; i < SOLVER_STEPS; i++) {
+    const { value, slope } = fn(x);
+    if (value === 0) return x;
+    if (value < 0) lo = x;
+    else hi = x;
+
+    let next = x - value / slope;
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    const converged = Math.abs(next - x) <= SOLVER_TOLERANCE * Math.max(next, 1);
+    x = next;
+    if (converged) break;
+  }
+  return x;
+}
+
+/**
+ * Geschwindigkeit bei konstanter Leistung auf einem Abschnitt
+ * Löst η·P = m·g·v·(grade + Crr·cosθ) + ½·ρ·CdA·(v + w)²·v nach v.
+ * @param {number} power - Leistung in Watt
+ * @param {number} resistance - m·g·(grade + Crr·cosθ) [N]
+ * @param {number} headwind - Gegenwindkomponente [m/s], negativ = Rückenwind
+ * @param {{ CdA: number, rho?: number }} profilePhysics
+ * @param {number} guess - Startwert [m/s], z.B. die Geschwindigkeit bei der letzten Leistung
+ * @returns {{ v: number, dvdP: number }} - Geschwindigkeit [m/s] und deren Ableitung nach der Leistung
+ */
+function solveSectionSpeed(power, resistance, headwind, { CdA, rho = PHYSICS.rho }, guess = 0) {
+  const { eta } = PHYSICS;
+  const k = 0.5 * rho * CdA;
+  const surplus = (v) => {
+    const airSpeed = v + headwind;
+    return {
+      value: v * (resistance + k * airSpeed * Math.abs(airSpeed)) - eta * power,
+      slope: resistance + k * Math.abs(airSpeed) * (3 * v + headwind),
+    };
+  };
+
+  if (surplus(MAX_SPEED).value < 0) return { v: MAX_SPEED, dvdP: 0 };
+
+  const v = solveRoot(surplus, 0, MAX_SPEED, guess);
+  const { slope } = surplus(v);
+  return { v, dvdP: slope > 0 ? eta / slope : 0 };
+}
+
+/**
+ * Fahrwiderstand ohne Luft für eine Steigung
+ * @returns {number} - m·g·(grade + Crr·cosθ) in N
+ */
+function sectionResistance(grade, totalMass, Crr) {
+  return totalMass * PHYSICS.g * (grade + Crr * Math.sqrt(1 - grade * grade));
+}
+
+/**
+ * Geschwindigkeit bei konstanter Leistung auf einem Abschnitt
+ * @param {number} power - Leistung in Watt
+ * @param {number} grade - Steigung [-]
+ * @param {number} totalMass - Fahrer + Rad in kg
+ * @param {{ CdA: number, Crr: number, rho?: number }} profilePhysics
+ * @param {number} headwind - Gegenwindkomponente [m/s], negativ = Rückenwind
+ * @returns {number} - Geschwindigkeit in m/s
+ */
+function speedAtPower(power, grade, totalMass, profilePhysics, headwind = 0) {
+  return solveSectionSpeed(power, sectionResistance(grade, totalMass, profilePhysics.Crr), headwind, profilePhysics).v;
+}
+
+/**
+ * Berechnet benötigte W/kg entlang eines Höhenprofils
+ * Pacing: konstante Leistung über alle Abschnitte, so gewählt, dass die Summe der
+ * Abschnittszeiten die KOM-Zeit ergibt. Die Leistung wird danach pro Abschnitt
+ * (Schwerkraft + Rollwiderstand + Luftwiderstand) aufsummiert und zeitgewichtet gemittelt.
+ * Mit Wind wird pro Abschnitt die Gegenwindkomponente aus dessen Fahrtrichtung berechnet.
+ * @param {Array<{distance: number, grade: number, bearing?: number|null}>} sections - Aus buildSections()
+ * @param {number} timeSeconds - Zeit in Sekunden
+ * @param {number} riderMass - Fahrergewicht in kg
+ * @param {{ CdA: number, bikeMass: number, Crr: number }} profilePhysics
+ * @param {{ speed: number, direction: number }|null} wind - km/h, Herkunftsrichtung [°]
+ * @returns {{ P_total: number, P_totalWkg: number, breakdown: { gravity: number, rolling: number, aero: number } }}
+ *   breakdown: zeitgewichtete Mittel der Anteile (inkl. Antriebsverlust), Summe = P_total —
+ *   Abschnitte, die ohne Treten rollen, zählen wie in P_total mit 0
+ */
+function calculateRequiredWProfile(sections, timeSeconds, riderMass, profilePhysics, wind = null) {
+  const { g, eta } = PHYSICS;
+  const { CdA, bikeMass, Crr, rho = PHYSICS.rho } = profilePhysics;
+  const totalMass = riderMass + bikeMass;
+  const headwinds = sections.map((s) => headwindComponent(wind, s.bearing));
+  const resistances = sections.map((s) => sectionResistance(s.grade, totalMass, Crr));
+
+  // Geschwindigkeiten der letzten Leistung sind der Startwert für die nächste
+  const speeds = sections.map(() => 0);
+  const solveAt = (power) => {
+    let time = 0;
+    let slope = 0;
+    sections.forEach((s, i) => {
+      const { v, dvdP } = solveSectionSpeed(power, resistances[i], headwinds[i], profilePhysics, speeds[i]);
+      speeds[i] = v;
+      time += s.distance / v;
+      slope -= (s.distance / (v * v)) * dvdP;
+    });
+    return { time, slope };
+  };
+
+  // Leistung suchen, bei der die Summe der Abschnittszeiten der Zielzeit entspricht;
+  // Startwert ist die Leistung bei mittlerer Steigung
+  let pacing = 0;
+  if (solveAt(0).time > timeSeconds) {
+    const distance = sections.reduce((sum, s) => sum + s.distance, 0);
+    const elevation = sections.reduce((sum, s) => sum + s.distance * s.grade, 0);
+    const guess = calculateRequiredW(distance, elevation, timeSeconds, riderMass, profilePhysics).P_total;
+    pacing = solveRoot((power) => {
+      const { time, slope } = solveAt(power);
+      // Zeit fällt mit der Leistung: Vorzeichen drehen, damit value < 0 links der Lösung liegt
+      return { value: timeSeconds - time, slope: -slope };
+    }, 0, MAX_POWER, guess);
+    solveAt(pacing);
+  }
+
+  // Abschnittsweise aufsummieren
+  let energy = 0;
+  let time = 0;
+  const work = { gravity: 0, rolling: 0, aero: 0 };
+  sections.forEach(({ distance, grade }, i) => {
+    const v = speeds[i];
+    const t = distance / v;
+    const cosTheta = Math.sqrt(1 - grade * grade);
+    const P_gravity = totalMass * g * v * grade;
+    const P_rolling = totalMass * g * v * Crr * cosTheta;
+    const P_aero = aeroPower(v, headwinds[i], CdA, rho);
+    const P_section = (P_gravity + P_rolling + P_aero) / eta;
+    // Ohne Leistung ist P_section 0 bis auf Rundungsrauschen — nicht in die Anteile aufteilen
+    if (pacing > 0 && P_section > 0) {
+      energy += P_section * t;
+      work.gravity += (P_gravity / eta) * t;
+      work.rolling += (P_rolling / eta) * t;
+      work.aero += (P_aero / eta) * t;
+    }
+    time += t;
+  });
+
+  const P_total = time > 0 ? energy / time : 0;
+  const P_totalWkg = P_total / riderMass;
+  const mean = (w) => (time > 0 ? w / time : 0);
+  const breakdown = { gravity: mean(work.gravity), rolling: mean(work.rolling), aero: mean(work.aero) };
+  return { P_total, P_totalWkg, breakdown };
 }
 
 /**
@@ -133,13 +437,27 @@ function getDifficultyClass(score) {
 
 const DEFAULT_PROFILE_PHYSICS = { CdA: 0.32, bikeMass: 8, Crr: 0.004 };
 
-export function calculateSegmentDifficulty({ distance, elevation, komTime, riderMass, profilePhysics = DEFAULT_PROFILE_PHYSICS }) {
+/**
+ * Physik-Parameter für Rad-Profil und Untergrund
+ * @param {string} bikeProfile - Schlüssel in BIKE_PROFILES
+ * @param {string} surface - 'unpaved' oder sonst befestigt
+ * @returns {{ CdA: number, bikeMass: number, Crr: number }}
+ */
+function resolveProfilePhysics(bikeProfile, surface) {
+  const profile = BIKE_PROFILES[bikeProfile] || BIKE_PROFILES.road;
+  const Crr = surface !== 'unpaved' ? profile.Crr.paved : profile.Crr.unpaved;
+  return { CdA: profile.CdA, bikeMass: profile.bikeMass, Crr };
+}
+
+export function calculateSegmentDifficulty({ distance, elevation, komTime, riderMass, profilePhysics = DEFAULT_PROFILE_PHYSICS, sections = null, powerModel = CP_MODEL, wind = null }) {
   const defaultResult = {
     komPower: null,
     komPowerWKg: null,
+    breakdown: null,
     difficultyScore: null,
     difficultyClass: { class: 'unknown', label: '—', color: '#9ca3af' },
     isValid: false,
+    model: null,
   };
 
   if (!distance || distance <= 0 || elevation == null || !riderMass || riderMass <= 0 || !komTime) {
@@ -149,33 +467,190 @@ export function calculateSegmentDifficulty({ distance, elevation, komTime, rider
   const komSeconds = parseKomTime(komTime);
   if (!komSeconds || komSeconds <= 0) return defaultResult;
 
-  const powerResult = calculateRequiredW(distance, elevation, komSeconds, riderMass, profilePhysics);
-  const komPower = powerResult.P_total;
-  const komPowerWKg = powerResult.P_totalWkg;
-  const refPower = referencePower(komSeconds);
+  // Höhenprofil bevorzugen, sonst mittlere Steigung über das ganze Segment
+  const useProfile = sections?.length > 0;
+  const powerResult = useProfile
+    ? calculateRequiredWProfile(sections, komSeconds, riderMass, profilePhysics, wind)
+    : calculateRequiredW(distance, elevation, komSeconds, riderMass, profilePhysics);
+  const { P_total: komPower, P_totalWkg: komPowerWKg, breakdown } = powerResult;
+  const refPower = referencePower(komSeconds, powerModel);
   const difficultyScore = (komPowerWKg / refPower) * 100;
   const difficultyClass = getDifficultyClass(difficultyScore);
 
-  return { komPower, komPowerWKg, difficultyScore, difficultyClass, isValid: true };
+  return { komPower, komPowerWKg, breakdown, difficultyScore, difficultyClass, isValid: true, model: useProfile ? 'profile' : 'average' };
+}
+
+/**
+ * Bewertung für Liste, Karte, Sortierung, Ziele und Route
+ * Immer mit mittlerer Steigung (mit Wind als Abschnitte aus der Polyline), auch wenn
+ * ein Höhen-Stream geladen ist — sonst würde das gewählte Segment als einziges mit
+ * einem anderen Modell gerechnet und in der Sortierung springen.
+ */
+export function getSegmentDifficulty(segment, riderMass, genderType = 'king', bikeProfile = 'road', powerProfile = null, wind = null) {
+  return rateSegment(segment, riderMass, genderType, bikeProfile, powerProfile, wind, false);
+}
+
+/**
+ * Bewertung für die Detailansicht: mit dem Höhen-Stream, sobald er geladen ist
+ * @returns {object} - Wie getSegmentDifficulty; model = 'profile' mit Höhen-Stream
+ */
+export function getDetailDifficulty(segment, riderMass, genderType = 'king', bikeProfile = 'road', powerProfile = null, wind = null) {
+  return rateSegment(segment, riderMass, genderType, bikeProfile, powerProfile, wind, true);
+}
+
+/**
+ * Abschnitte, mit denen ein Segment gerechnet wird
+ * Mit useStream der Höhen-Stream, sobald geladen. Sonst mittlere Steigung: mit Wind
+ * als Abschnitte aus der Polyline (für die Fahrtrichtung), ohne Wind keine (ein Block).
+ * @param {object} segment - { data, details, elevationProfile }
+ * @param {{ useStream?: boolean, wind?: { speed: number, direction: number }|null }} options
+ * @returns {{ sections: Array, fromStream: boolean }}
+ */
+function segmentSections(segment, { useStream = false, wind = null } = {}) {
+  const { data, details, elevationProfile } = segment;
+  const streamSections = useStream ? buildSections(elevationProfile) : [];
+  if (streamSections.length) return { sections: streamSections, fromStream: true };
+  if (!(wind?.speed > 0) || !data?.points) return { sections: [], fromStream: false };
+
+  const distance = details?.distance || data.distance;
+  const elevation = data.elev_difference ?? details?.total_elevation_gain ?? 0;
+  return {
+    sections: buildSections(polylineProfile(decodePolyline(data.points), distance, elevation)),
+    fromStream: false,
+  };
+}
+
+// WeakMap: verschwindet ein Segment-Objekt (neu geladen, ersetzt), fällt sein Cache mit
+const resultCache = new WeakMap();
+
+/**
+ * Bewertung aus dem Cache des Segments, sonst gerechnet und abgelegt
+ * Liste, Karte, Route und Ziele rechnen dasselbe Segment mehrfach; mit Wind ist
+ * jede Bewertung eine numerische Lösung.
+ * Wind vom Wetterdienst gilt nur für Segmente, die in seiner Rasterzelle starten (windAt).
+ */
+function rateSegment(segment, riderMass, genderType, bikeProfile, powerProfile, providedWind, useStream) {
+  const wind = windAt(providedWind, segment.data?.start_latlng);
+  const { Pmax, CP, Wprime } = resolvePowerModel(powerProfile);
+  const windKey = wind?.speed > 0 ? `${wind.speed},${wind.direction}` : '-';
+  const key = `${useStream}|${riderMass}|${genderType}|${bikeProfile}|${Pmax},${CP},${Wprime}|${windKey}`;
+
+  let cache = resultCache.get(segment);
+  if (!cache) {
+    cache = new Map();
+    resultCache.set(segment, cache);
+  }
+  if (cache.has(key)) return cache.get(key);
+
+  const result = computeSegmentRating(segment, riderMass, genderType, bikeProfile, powerProfile, wind, useStream);
+  if (cache.size >= RESULT_CACHE_MAX) cache.delete(cache.keys().next().value);
+  cache.set(key, result);
+  return result;
 }
 
-export function getSegmentDifficulty(segment, riderMass, genderType = 'king', bikeProfile = 'road') {
+function computeSegmentRating(segment, riderMass, genderType, bikeProfile, powerProfile, wind, useStream) {
   const { data, details, surface } = segment;
 
   const distance = details?.distance || data?.distance;
   const elevation = data?.elev_difference ?? details?.total_elevation_gain ?? 0;
   const komTime = genderType === 'queen' ? details?.qom_time : details?.kom_time;
 
-  const profile = BIKE_PROFILES[bikeProfile] || BIKE_PROFILES.road;
-  const isPaved = surface !== 'unpaved';
-  const Crr = isPaved ? profile.Crr.paved : profile.Crr.unpaved;
-  const profilePhysics = { CdA: profile.CdA, bikeMass: profile.bikeMass, Crr };
+  const profilePhysics = resolveProfilePhysics(bikeProfile, surface);
+
+  const powerModel = resolvePowerModel(powerProfile);
+  const hasWind = wind?.speed > 0;
+
+  const { sections, fromStream } = segmentSections(segment, { useStream, wind });
+
+  const params = { distance, elevation, komTime, riderMass, profilePhysics, sections, powerModel };
+  const result = calculateSegmentDifficulty({ ...params, wind: hasWind ? wind : null });
+  const model = result.isValid ? (fromStream ? 'profile' : 'average') : null;
+
+  if (!hasWind || !result.isValid) return { ...result, model, windEffect: 0 };
+
+  // Differenz zur Windstille: negativ = Wind hilft. Die Abschnitte aus der Polyline
+  // haben alle die mittlere Steigung, ohne Wind ist das die geschlossene Formel.
+  const stillAir = fromStream
+    ? calculateRequiredWProfile(sections, parseKomTime(komTime), riderMass, profilePhysics)
+    : calculateRequiredW(distance, elevation, parseKomTime(komTime), riderMass, profilePhysics);
+  return { ...result, model, windEffect: result.komPower - stillAir.P_total };
+}
+
+/**
+ * Eigene Bestzeit (PR) im Vergleich zur KOM/QOM
+ * Beide Leistungen mit mittlerer Steigung gerechnet, damit die Differenz nicht
+ * vom Modell abhängt (das Höhenprofil ändert beide Werte ähnlich).
+ * @param {object} segment - { data, details, surface }
+ * @param {{ pr_elapsed_time: number|null, effort_count: number }|null} stats - athlete_segment_stats
+ * @returns {{ prSeconds, prPower, komSeconds, komPower, gapSeconds, powerToAdd, effortCount }|null} - null ohne PR
+ */
+export function getPersonalRecordGap(segment, stats, riderMass, genderType = 'king', bikeProfile = 'road') {
+  const prSeconds = stats?.pr_elapsed_time;
+  if (!prSeconds || !riderMass) return null;
+
+  const { data, details, surface } = segment;
+  const distance = details?.distance || data?.distance;
+  const elevation = data?.elev_difference ?? details?.total_elevation_gain ?? 0;
+  if (!distance) return null;
+
+  const profilePhysics = resolveProfilePhysics(bikeProfile, surface);
+
+  const prPower = calculateRequiredW(distance, elevation, prSeconds, riderMass, profilePhysics).P_total;
+  const komSeconds = parseKomTime(genderType === 'queen' ? details?.qom_time : details?.kom_time);
+  const komPower = komSeconds
+    ? calculateRequiredW(distance, elevation, komSeconds, riderMass, profilePhysics).P_total
+    : null;
+
+  return {
+    prSeconds,
+    prPower,
+    komSeconds,
+    komPower,
+    gapSeconds: komSeconds ? prSeconds - komSeconds : null,
+    powerToAdd: komPower != null ? Math.max(0, komPower - prPower) : null,
+    effortCount: stats.effort_count ?? 0,
+  };
+}
+
+/**
+ * Umkehrung: Zeit für ein Segment bei konstanter Leistung
+ * Mit Abschnitten pro Abschnitt gelöst (mit Wind je Fahrtrichtung), sonst über die mittlere Steigung.
+ * @param {{ distance: number, elevation: number, power: number, riderMass: number, profilePhysics?: object, sections?: Array|null, wind?: object|null }} params
+ * @returns {number|null} - Sekunden oder null bei ungültiger Eingabe
+ */
+export function timeAtPower({ distance, elevation, power, riderMass, profilePhysics = DEFAULT_PROFILE_PHYSICS, sections = null, wind = null }) {
+  if (!distance || distance <= 0 || !riderMass || riderMass <= 0 || !(power > 0)) return null;
+
+  const totalMass = riderMass + profilePhysics.bikeMass;
+  const parts = sections?.length > 0
+    ? sections
+    : [{ distance, grade: Math.max(-0.99, Math.min((elevation || 0) / distance, 0.99)) }];
 
-  return calculateSegmentDifficulty({ distance, elevation, komTime, riderMass, profilePhysics });
+  const time = parts.reduce(
+    (sum, s) => sum + s.distance / speedAtPower(power, s.grade, totalMass, profilePhysics, headwindComponent(wind, s.bearing)),
+    0
+  );
+  return Number.isFinite(time) ? time : null;
 }
 
 // ============================================================================
 // ADDITIONAL EXPORTS
 // ============================================================================
 
-export { parseKomTime, referencePower, getDifficultyClass, DIFFICULTY_CLASSES };
\ No newline at end of file
+export {
+  parseKomTime,
+  referencePower,
+  fitPowerModel,
+  resolvePowerModel,
+  getDifficultyClass,
+  resolveProfilePhysics,
+  calculateRequiredW,
+  buildSections,
+  polylineProfile,
+  segmentSections,
+  calculateRequiredWProfile,
+  DIFFICULTY_CLASSES,
+  PHYSICS,
+  POWER_LEVELS,
+  EFFORT_DURATIONS,
+};
\ No newline at end of file
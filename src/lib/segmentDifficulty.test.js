@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getSegmentDifficulty,
+  getDetailDifficulty,
+  calculateRequiredW,
+  calculateRequiredWProfile,
+  buildSections,
+  PHYSICS,
+} from './segmentDifficulty.js';
+
+// 2 km at 5 % on average: flat first half, 10 % second half
+const SEGMENT = {
+  data: { distance: 2000, elev_difference: 100, avg_grade: 5 },
+  details: { distance: 2000, kom_time: '6:00', qom_time: '7:30' },
+  surface: 'paved',
+  elevationProfile: Array.from({ length: 21 }, (_, i) => ({
+    distance: i * 100,
+    altitude: i <= 10 ? 0 : (i - 10) * 10,
+  })),
+};
+const FLAT_SEGMENT = { ...SEGMENT, elevationProfile: null };
+
+test('the list score ignores a loaded elevation stream', () => {
+  const list = getSegmentDifficulty(SEGMENT, 75);
+  const withoutStream = getSegmentDifficulty(FLAT_SEGMENT, 75);
+  assert.equal(list.model, 'average');
+  assert.equal(list.difficultyScore, withoutStream.difficultyScore);
+});
+
+test('the detail score uses the elevation stream once it is loaded', () => {
+  const detail = getDetailDifficulty(SEGMENT, 75);
+  assert.equal(detail.model, 'profile');
+  assert.notEqual(detail.komPower, getSegmentDifficulty(SEGMENT, 75).komPower);
+  assert.equal(getDetailDifficulty(FLAT_SEGMENT, 75).model, 'average');
+});
+
+test('the breakdown adds up to the KOM power, with stream and wind', () => {
+  const withPolyline = { ...SEGMENT, data: { ...SEGMENT.data, points: '_p~iF~ps|U_ulLnnqC' } };
+  // Without a stream, wind splits the polyline into sections with their own heading
+  for (const segment of [withPolyline, { ...withPolyline, elevationProfile: null }]) {
+    for (const wind of [null, { speed: 30, direction: 0 }]) {
+      const { komPower, breakdown } = getDetailDifficulty(segment, 75, 'king', 'road', null, wind);
+      const sum = breakdown.gravity + breakdown.rolling + breakdown.aero;
+      assert.ok(Math.abs(sum - komPower) < 1e-6 * komPower, `${sum} vs ${komPower}`);
+    }
+  }
+});
+
+test('a coasting descent needs no power in any term', () => {
+  const descent = { ...FLAT_SEGMENT, data: { ...FLAT_SEGMENT.data, elev_difference: -200 }, details: { ...SEGMENT.details, kom_time: '4:00' } };
+  const { komPower, breakdown } = getSegmentDifficulty(descent, 75);
+  assert.equal(komPower, 0);
+  assert.deepEqual(breakdown, { gravity: 0, rolling: 0, aero: 0 });
+});
+
+test('the profile solve matches a plain bisection, with head- and tailwind', () => {
+  const physics = { CdA: 0.32, bikeMass: 8, Crr: 0.004 };
+  const sections = buildSections(SEGMENT.elevationProfile).map((s, i) => ({ ...s, bearing: i % 2 ? 0 : 180 }));
+  const wind = { speed: 30, direction: 0 };
+  const totalMass = 83;
+
+  const bisect = (fn, lo, hi) => {
+    for (let i = 0; i < 200; i++) {
+      const mid = (lo + hi) / 2;
+      if (fn(mid) < 0) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  };
+  const speed = (power, { grade, bearing }) => {
+    const w = bearing === 0 ? -30 / 3.6 : 30 / 3.6;
+    const resistance = totalMass * PHYSICS.g * (grade + physics.Crr * Math.sqrt(1 - grade * grade));
+    return bisect((v) => resistance * v + 0.5 * PHYSICS.rho * physics.CdA * (v + w) * Math.abs(v + w) * v - PHYSICS.eta * power, 0, 50);
+  };
+  const pacing = bisect((power) => 360 - sections.reduce((t, s) => t + s.distance / speed(power, s), 0), 0, 5000);
+
+  const { P_total } = calculateRequiredWProfile(sections, 360, 75, physics, wind);
+  assert.ok(Math.abs(P_total - pacing) < 1e-6 * pacing, `${P_total} vs ${pacing}`);
+});
+
+test('the wind effect is measured against the closed-form still-air power', () => {
+  const segment = { ...FLAT_SEGMENT, data: { ...FLAT_SEGMENT.data, points: '_p~iF~ps|U_ulLnnqC' } };
+  const windy = getSegmentDifficulty(segment, 75, 'king', 'road', null, { speed: 30, direction: 0 });
+  const stillAir = calculateRequiredW(2000, 100, 360, 75, { CdA: 0.32, bikeMass: 8, Crr: 0.004 }).P_total;
+  assert.equal(windy.model, 'average');
+  assert.ok(Math.abs(windy.windEffect - (windy.komPower - stillAir)) < 1e-9);
+  assert.notEqual(windy.windEffect, 0);
+});
+
+test('ratings are cached per segment object and its inputs', () => {
+  const segment = { ...FLAT_SEGMENT, data: { ...FLAT_SEGMENT.data, points: '_p~iF~ps|U_ulLnnqC' } };
+  const wind = { speed: 30, direction: 0 };
+  const first = getSegmentDifficulty(segment, 75, 'king', 'road', null, wind);
+  assert.equal(getSegmentDifficulty(segment, 75, 'king', 'road', null, { ...wind }), first);
+  assert.notEqual(getSegmentDifficulty(segment, 75, 'king', 'road', null, { speed: 30, direction: 90 }), first);
+  assert.notEqual(getSegmentDifficulty(segment, 80, 'king', 'road', null, wind), first);
+  assert.notEqual(getSegmentDifficulty({ ...segment }, 75, 'king', 'road', null, wind), first);
+  assert.notEqual(getDetailDifficulty(segment, 75, 'king', 'road', null, wind), first);
+});
+
+test('a provider wind only rates segments starting in its cell', () => {
+  const segment = {
+    ...FLAT_SEGMENT,
+    data: { ...FLAT_SEGMENT.data, points: '_p~iF~ps|U_ulLnnqC', start_latlng: [38.5, -120.2] },
+  };
+  const inside = getSegmentDifficulty(segment, 75, 'king', 'road', null, { speed: 30, direction: 0, cell: '38.5,-120.2' });
+  const outside = getSegmentDifficulty(segment, 75, 'king', 'road', null, { speed: 30, direction: 0, cell: '47.4,8.5' });
+  assert.notEqual(inside.windEffect, 0);
+  assert.equal(outside.windEffect, 0);
+  assert.equal(outside.komPower, getSegmentDifficulty(segment, 75).komPower);
+});
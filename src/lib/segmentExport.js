@@ -0,0 +1,157 @@
+import { decodePolyline } from './polyline.js';
+import { parseKomTime } from './segmentDifficulty.js';
+
+/**
+ * Segment export as GPX, GeoJSON or KML — built and downloaded entirely
+ * in the browser. Geometry is the decoded summary polyline; the properties
+ * reflect the current settings (gender type, rider, bike profile).
+ */
+
+export const EXPORT_FORMATS = [
+  { key: 'gpx', label: 'GPX', mime: 'application/gpx+xml', build: toGpx },
+  { key: 'geojson', label: 'GeoJSON', mime: 'application/geo+json', build: toGeoJson },
+  { key: 'kml', label: 'KML', mime: 'application/vnd.google-earth.kml+xml', build: toKml },
+];
+
+/**
+ * @param {Array<{ id: string|number, seg: object, difficulty: object }>} entries
+ * @param {string} format - Key in EXPORT_FORMATS
+ * @param {{ genderType: string, filename?: string }} ctx
+ */
+export function exportSegments(entries, format, { genderType, filename }) {
+  const { key, mime, build } = EXPORT_FORMATS.find((f) => f.key === format);
+  const records = entries
+    .filter(({ seg }) => seg?.data.points)
+    .map((entry) => toRecord(entry, genderType));
+  if (records.length === 0) return;
+  const name = filename || (records.length === 1 ? slugify(records[0].properties.name) : 'segmente');
+  download(`${name}.${key}`, build(records), mime);
+}
+
+/**
+ * One export row: geometry plus flat properties shared by all formats.
+ */
+function toRecord({ id, seg, difficulty }, genderType) {
+  const { data, details } = seg;
+  const time = (genderType === 'queen' ? details?.qom_time : details?.kom_time) || null;
+  return {
+    coords: decodePolyline(data.points),
+    properties: {
+      id: Number(id),
+      name: data.name,
+      distance_m: round(details?.distance || data.distance, 0),
+      avg_grade_pct: round(data.avg_grade, 1),
+      elevation_m: round(data.elev_difference ?? details?.total_elevation_gain, 0),
+      [genderType === 'queen' ? 'qom_time' : 'kom_time']: time,
+      [genderType === 'queen' ? 'qom_seconds' : 'kom_seconds']: parseKomTime(time),
+      required_w: difficulty?.isValid ? round(difficulty.komPower, 0) : null,
+      required_wkg: difficulty?.isValid ? round(difficulty.komPowerWKg, 2) : null,
+      difficulty_score: difficulty?.isValid ? round(difficulty.difficultyScore, 0) : null,
+      difficulty_class: difficulty?.isValid ? difficulty.difficultyClass.label : null,
+      strava_url: `https://www.strava.com/segments/${id}`,
+    },
+  };
+}
+
+function slugify(text) {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'segment';
+}
+
+function round(value, digits) {
+  return value == null ? null : Number(value.toFixed(digits));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Human-readable summary for formats without typed properties
+function describe({ properties: p }) {
+  return Object.entries(p)
+    .filter(([key, value]) => value != null && key !== 'name')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('\n');
+}
+
+function toGeoJson(records) {
+  const collection = {
+    type: 'FeatureCollection',
+    features: records.map(({ coords, properties }) => ({
+      type: 'Feature',
+      // GeoJSON is [lng, lat]
+      geometry: { type: 'LineString', coordinates: coords.map(([lat, lng]) => [lng, lat]) },
+      properties,
+    })),
+  };
+  return JSON.stringify(collection, null, 2);
+}
+
+function toGpx(records) {
+  const tracks = records.map((record) => {
+    const points = record.coords
+      .map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`)
+      .join('\n');
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(record.properties.name)}</name>`,
+      `    <desc>${escapeXml(describe(record))}</desc>`,
+      `    <link href="${record.properties.strava_url}"/>`,
+      '    <trkseg>',
+      points,
+      '    </trkseg>',
+      '  </trk>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="KOM QOM" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...tracks,
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+function toKml(records) {
+  const placemarks = records.map(({ coords, properties }) => {
+    const data = Object.entries(properties)
+      .filter(([, value]) => value != null)
+      .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(properties.name)}</name>`,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${coords.map(([lat, lng]) => `${lng},${lat}`).join(' ')}</coordinates>`,
+      '      </LineString>',
+      '    </Placemark>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+}
+
+function download(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,91 @@
+import { parseKomTime } from './segmentDifficulty.js';
+
+/**
+ * Segment filters shared by the panel and the map.
+ *
+ * Every range is [min, max] in the field's display unit; null on either
+ * side means unbounded (the slider sits at its end stop). A segment whose
+ * value is unknown — no details loaded yet, no valid score — only passes
+ * while that range is unbounded on both sides.
+ */
+
+export const FILTER_FIELDS = [
+  {
+    key: 'grade',
+    label: 'Steigung',
+    unit: '%',
+    min: -5, max: 20, step: 0.5,
+    value: (seg) => seg.data.avg_grade,
+  },
+  {
+    key: 'distance',
+    label: 'Distanz',
+    unit: 'km',
+    min: 0, max: 20, step: 0.1,
+    value: (seg) => {
+      const meters = seg.details?.distance || seg.data.distance;
+      return meters ? meters / 1000 : null;
+    },
+  },
+  {
+    key: 'elevation',
+    label: 'Höhenmeter',
+    unit: 'm',
+    min: 0, max: 1000, step: 10,
+    value: (seg) => seg.data.elev_difference ?? seg.details?.total_elevation_gain,
+  },
+  {
+    key: 'duration',
+    label: 'KOM/QOM-Zeit',
+    unit: 'min',
+    min: 0, max: 60, step: 0.5,
+    value: (seg, _, genderType) => {
+      const time = genderType === 'queen' ? seg.details?.qom_time : seg.details?.kom_time;
+      const seconds = time ? parseKomTime(time) : null;
+      return seconds ? seconds / 60 : null;
+    },
+  },
+  {
+    key: 'score',
+    label: 'Score',
+    unit: '%',
+    min: 0, max: 200, step: 5,
+    value: (_, difficulty) => (difficulty.isValid ? difficulty.difficultyScore : null),
+  },
+];
+
+export const DEFAULT_FILTERS = {
+  query: '',
+  ...Object.fromEntries(FILTER_FIELDS.map((f) => [f.key, [null, null]])),
+};
+
+/** Number of filters that currently narrow the list. */
+export function activeFilterCount(filters) {
+  let count = filters.query.trim() ? 1 : 0;
+  for (const { key } of FILTER_FIELDS) {
+    const [min, max] = filters[key];
+    if (min != null || max != null) count++;
+  }
+  return count;
+}
+
+/**
+ * @param {object} seg - { data, details, surface, … }
+ * @param {object} difficulty - Result of getSegmentDifficulty
+ * @param {object} filters - Shape of DEFAULT_FILTERS
+ * @param {'king'|'queen'} genderType - Selects KOM or QOM time for the duration range
+ */
+export function matchesFilters(seg, difficulty, filters, genderType) {
+  const query = filters.query.trim().toLowerCase();
+  if (query && !seg.data.name?.toLowerCase().includes(query)) return false;
+
+  for (const field of FILTER_FIELDS) {
+    const [min, max] = filters[field.key];
+    if (min == null && max == null) continue;
+    const value = field.value(seg, difficulty, genderType);
+    if (value == null) return false;
+    if (min != null && value < min) return false;
+    if (max != null && value > max) return false;
+  }
+  return true;
+}
@@ -0,0 +1,92 @@
+import { decodePolyline } from './polyline.js';
+import { buildSections, polylineProfile } from './segmentDifficulty.js';
+
+/**
+ * Elevation/grade data for the segment detail drawer.
+ *
+ * Works on the altitude stream when it is loaded; until then the decoded
+ * polyline stands in with the average grade spread evenly, so the chart
+ * and the map marker already line up.
+ */
+
+// Shorter than the difficulty model's sections — the chart should show ramps
+const CHART_SECTION_LENGTH = 50; // m
+const HISTOGRAM_BIN = 2;         // % grade per bar
+
+// Upper bound (%) → colour, steepest last
+const GRADE_COLORS = [
+  [0, '#3B82F6'],
+  [3, '#2ECC71'],
+  [6, '#F59E0B'],
+  [9, '#FF6B2B'],
+  [12, '#EF4444'],
+  [Infinity, '#9F1239'],
+];
+
+export function gradeColor(gradePercent) {
+  return GRADE_COLORS.find(([max]) => gradePercent < max)[1];
+}
+
+/**
+ * @param {object} segment - { data, details, elevationProfile }
+ * @returns {{ points: Array<{ distance, altitude, latlng }>, fromStream: boolean }}
+ */
+export function getProfilePoints(segment) {
+  const { data, details, elevationProfile } = segment;
+  if (elevationProfile?.length >= 2) return { points: elevationProfile, fromStream: true };
+
+  const distance = details?.distance || data.distance;
+  const elevation = data.elev_difference ?? details?.total_elevation_gain ?? 0;
+  const points = data.points ? polylineProfile(decodePolyline(data.points), distance, elevation) : [];
+  return { points, fromStream: false };
+}
+
+/**
+ * Sections with their start distance, for drawing and hover lookup.
+ *
+ * @returns {Array<{ start: number, end: number, grade: number }>} grade in %
+ */
+export function getChartSections(points) {
+  let start = points[0]?.distance ?? 0;
+  return buildSections(points, CHART_SECTION_LENGTH).map(({ distance, grade }) => {
+    const section = { start, end: start + distance, grade: grade * 100 };
+    start = section.end;
+    return section;
+  });
+}
+
+/**
+ * Distance per grade bin, climbing and descending alike.
+ *
+ * @returns {Array<{ from: number, to: number, distance: number }>} sorted by grade
+ */
+export function gradeHistogram(sections, binWidth = HISTOGRAM_BIN) {
+  const bins = new Map();
+  for (const { start, end, grade } of sections) {
+    const from = Math.floor(grade / binWidth) * binWidth;
+    bins.set(from, (bins.get(from) || 0) + (end - start));
+  }
+  return [...bins.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([from, distance]) => ({ from, to: from + binWidth, distance }));
+}
+
+export function maxGrade(sections) {
+  return sections.length ? Math.max(...sections.map((s) => s.grade)) : null;
+}
+
+/**
+ * Point closest to a distance along the segment (binary search).
+ */
+export function pointAtDistance(points, distance) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].distance < distance) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(points[lo].distance - distance) <= Math.abs(points[hi].distance - distance)
+    ? points[lo]
+    : points[hi];
+}
@@ -0,0 +1,123 @@
+import { parseKomTime } from './segmentDifficulty.js';
+import { distanceBetween } from './polyline.js';
+
+/**
+ * Sort modes for the segment panel.
+ *
+ * value(entry, ctx) returns the sort key of an { id, seg, difficulty } entry, or
+ * null when it is unknown (no details loaded yet, no location, …). Unknown
+ * keys sort after known ones in both directions, and segments without a
+ * valid difficulty always come last.
+ *
+ * ctx: { genderType, origin: [lat, lng] | null, records: { [id]: athlete_segment_stats } }
+ */
+export const SORT_MODES = [
+  {
+    key: 'score',
+    label: 'Score',
+    descending: false,
+    value: ({ difficulty }) => difficulty.difficultyScore,
+  },
+  {
+    key: 'watts',
+    label: 'Leistung (W)',
+    descending: false,
+    value: ({ difficulty }) => difficulty.komPower,
+  },
+  {
+    key: 'wkg',
+    label: 'Leistung (W/kg)',
+    descending: false,
+    value: ({ difficulty }) => difficulty.komPowerWKg,
+  },
+  {
+    key: 'duration',
+    label: 'KOM/QOM-Zeit',
+    descending: false,
+    value: ({ seg }, { genderType }) => {
+      const time = genderType === 'queen' ? seg.details?.qom_time : seg.details?.kom_time;
+      return time ? parseKomTime(time) : null;
+    },
+  },
+  {
+    key: 'distance',
+    label: 'Distanz',
+    descending: false,
+    value: ({ seg }) => seg.details?.distance || seg.data.distance || null,
+  },
+  {
+    key: 'grade',
+    label: 'Steigung',
+    descending: true,
+    value: ({ seg }) => seg.data.avg_grade,
+  },
+  {
+    key: 'stars',
+    label: 'Sterne',
+    descending: true,
+    value: ({ seg }) => seg.details?.star_count,
+  },
+  {
+    key: 'nearby',
+    label: 'Entfernung',
+    descending: false,
+    value: ({ seg }, { origin }) => (origin ? distanceBetween(origin, seg.data.start_latlng) : null),
+  },
+  {
+    // Own PR relative to the KOM/QOM — the most realistic attempts first
+    key: 'kom-gap',
+    label: 'Nah am KOM',
+    descending: false,
+    value: ({ id, seg }, { genderType, records }) => {
+      const pr = records?.[id]?.pr_elapsed_time;
+      const kom = parseKomTime(genderType === 'queen' ? seg.details?.qom_time : seg.details?.kom_time);
+      return pr && kom ? (pr - kom) / kom : null;
+    },
+  },
+  {
+    key: 'updated',
+    label: 'Aktualisiert',
+    descending: true,
+    value: ({ seg }) => seg.details?.extracted_at,
+  },
+  {
+    // Only offered while wind is active; largest power saving first
+    key: 'tailwind',
+    label: 'Rückenwind',
+    descending: false,
+    requiresWind: true,
+    value: ({ difficulty }) => difficulty.windEffect,
+  },
+];
+
+export const DEFAULT_SORT = { mode: 'score', descending: false };
+
+export function getSortMode(key) {
+  return SORT_MODES.find((m) => m.key === key) || SORT_MODES[0];
+}
+
+/**
+ * Sort entries in place.
+ *
+ * @param {Array<{ id: string, seg: object, difficulty: object }>} entries
+ * @param {{ mode: string, descending: boolean }} sort
+ * @param {object} ctx - See SORT_MODES
+ */
+export function sortSegments(entries, sort, ctx) {
+  const mode = getSortMode(sort.mode);
+  const sign = sort.descending ? -1 : 1;
+  const keyed = entries.map((entry) => ({ entry, key: mode.value(entry, ctx) ?? null }));
+
+  keyed.sort((a, b) => {
+    if (a.entry.difficulty.isValid !== b.entry.difficulty.isValid) {
+      return a.entry.difficulty.isValid ? -1 : 1;
+    }
+    if (a.key == null || b.key == null) {
+      return (a.key == null) - (b.key == null);
+    }
+    return sign * (a.key - b.key);
+  });
+
+  keyed.forEach(({ entry }, i) => { entries[i] = entry; });
+  return entries;
+}
@@ -0,0 +1,20 @@
+import { TILE_URL } from './constants.js';
+
+/**
+ * Register public/sw.js in production builds.
+ *
+ * The worker learns the tile host from the query string, so it caches
+ * whatever TILE_URL points at (CARTO, or a local mock via VITE_TILE_URL).
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  // 'https://{s}.basemaps.cartocdn.com/…' → 'basemaps.cartocdn.com'
+  const tileHost = new URL(TILE_URL.replace('{s}.', '').replace(/\{[^}]+\}/g, '0')).host;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`/sw.js?tiles=${encodeURIComponent(tileHost)}`)
+      .catch((err) => console.warn('Service worker registration failed:', err));
+  });
+}
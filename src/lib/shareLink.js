@@ -0,0 +1,95 @@
+import { BIKE_PROFILES, SS_PENDING_LINK } from './constants.js';
+import { FILTER_FIELDS } from './segmentFilter.js';
+
+/**
+ * Shareable app state in the URL hash, e.g.
+ *
+ *   #map=14/47.37/8.54&segment=123&bike=mtb&gender=queen&q=alpe&grade=3,8&distance=,5
+ *
+ * map is zoom/lat/lng. Ranges are min,max with an empty side for
+ * unbounded, as in DEFAULT_FILTERS. Keys the link does not mention keep
+ * their local value; anything that does not parse is ignored.
+ */
+
+const GENDER_TYPES = ['king', 'queen'];
+
+/**
+ * @param {{ view, activeId, bikeProfile, genderType, filters }} state
+ *   view: { center: [lat, lng], zoom }
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeShareLink({ view, activeId, bikeProfile, genderType, filters }) {
+  const params = new URLSearchParams();
+  if (view) {
+    // 5 decimals ≈ 1 m — more only makes the link longer
+    const [lat, lng] = view.center.map((c) => Number(c.toFixed(5)));
+    params.set('map', `${view.zoom}/${lat}/${lng}`);
+  }
+  if (activeId != null) params.set('segment', String(activeId));
+  params.set('bike', bikeProfile);
+  params.set('gender', genderType);
+  if (filters.query.trim()) params.set('q', filters.query.trim());
+  for (const { key } of FILTER_FIELDS) {
+    const [min, max] = filters[key];
+    if (min != null || max != null) params.set(key, `${min ?? ''},${max ?? ''}`);
+  }
+  return `#${params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')}`;
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {{ view?, activeId?, bikeProfile?, genderType?, filters? }|null}
+ *   filters only holds the fields the link sets; null for a hash without app state
+ */
+export function parseShareLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const link = {};
+
+  const [zoom, lat, lng] = (params.get('map') || '').split('/').map(Number);
+  if ([zoom, lat, lng].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    link.view = { center: [lat, lng], zoom: Math.round(zoom) };
+  }
+
+  const segment = Number(params.get('segment'));
+  if (Number.isInteger(segment) && segment > 0) link.activeId = segment;
+
+  const bike = params.get('bike');
+  if (Object.hasOwn(BIKE_PROFILES, bike)) link.bikeProfile = bike;
+
+  const gender = params.get('gender');
+  if (GENDER_TYPES.includes(gender)) link.genderType = gender;
+
+  const filters = {};
+  if (params.get('q')) filters.query = params.get('q');
+  for (const { key } of FILTER_FIELDS) {
+    if (!params.has(key)) continue;
+    const range = params.get(key).split(',').map((v) => (v.trim() === '' ? null : Number(v)));
+    if (range.length === 2 && range.every((v) => v === null || Number.isFinite(v))) filters[key] = range;
+  }
+  if (Object.keys(filters).length) link.filters = filters;
+
+  return Object.keys(link).length ? link : null;
+}
+
+/**
+ * Keep the current hash across the Strava OAuth redirect, which comes back
+ * to the bare REDIRECT_URI. sessionStorage is per tab, so the link opens
+ * in the tab that logged in and nowhere else.
+ */
+export function stashPendingLink() {
+  if (parseShareLink(window.location.hash)) {
+    sessionStorage.setItem(SS_PENDING_LINK, window.location.hash);
+  }
+}
+
+/**
+ * The link to open on load: the current hash, else one stashed before login.
+ */
+export function readInitialLink() {
+  const pending = sessionStorage.getItem(SS_PENDING_LINK);
+  return parseShareLink(window.location.hash) || (pending ? parseShareLink(pending) : null);
+}
+
+export function clearPendingLink() {
+  sessionStorage.removeItem(SS_PENDING_LINK);
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareLink, parseShareLink } from './shareLink.js';
+import { DEFAULT_FILTERS } from './segmentFilter.js';
+
+test('parseShareLink reads back what encodeShareLink wrote', () => {
+  const state = {
+    view: { center: [47.37, 8.54], zoom: 14 },
+    activeId: 123,
+    bikeProfile: 'mtb',
+    genderType: 'queen',
+    filters: { ...DEFAULT_FILTERS, query: 'alpe', grade: [3, 8], distance: [null, 5] },
+  };
+  const link = parseShareLink(encodeShareLink(state));
+  assert.deepEqual(link, {
+    view: state.view,
+    activeId: 123,
+    bikeProfile: 'mtb',
+    genderType: 'queen',
+    filters: { query: 'alpe', grade: [3, 8], distance: [null, 5] },
+  });
+});
+
+test('parseShareLink ignores bike names from the object prototype', () => {
+  for (const bike of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+    assert.equal(parseShareLink(`#bike=${bike}`), null, bike);
+  }
+  assert.deepEqual(parseShareLink('#bike=toString&segment=5'), { activeId: 5 });
+});
+
+test('parseShareLink drops values that do not parse', () => {
+  assert.equal(parseShareLink(''), null);
+  assert.equal(parseShareLink('#map=14/95/8.54&segment=-3&gender=other&grade=a,b'), null);
+});
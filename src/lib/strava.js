@@ -1,4 +1,6 @@
 import { STRAVA_API } from './constants.js';
+import { parseRateLimit, recordRateLimit, getRemaining, schedule, PRIORITY } from './rateLimit.js';
+import { recordStats } from './personalRecords.js';
 
 /**
  * Lightweight Strava API client.
@@ -6,45 +8,23 @@ import { STRAVA_API } from './constants.js';
  */
 
 /**
- * Parse Strava's rate-limit headers into a structured object.
- * Each header is two comma-separated values: 15-minute, then daily.
- * Both the overall and the read-specific limits are considered; a window
- * counts as exceeded if either set has usage >= limit.
- * https://developers.strava.com/docs/rate-limits/
+ * Calls left in the current 15-minute window, from the shared budget.
+ * Infinity when no headers have been seen yet.
  */
-function parseRateLimit(headers) {
-  const pair = (name) => {
-    const v = headers.get(name);
-    if (!v) return null;
-    const [a, b] = v.split(',').map((n) => parseInt(n.trim(), 10));
-    return Number.isFinite(a) && Number.isFinite(b) ? [a, b] : null;
-  };
-
-  const limit = pair('x-ratelimit-limit');
-  const usage = pair('x-ratelimit-usage');
-  const readLimit = pair('x-readratelimit-limit');
-  const readUsage = pair('x-readratelimit-usage');
-
-  if (!usage && !readUsage) return null;
-
-  const exceeded = (i) =>
-    (!!usage && !!limit && usage[i] >= limit[i]) ||
-    (!!readUsage && !!readLimit && readUsage[i] >= readLimit[i]);
-
-  return {
-    fifteenMinExceeded: exceeded(0),
-    dailyExceeded: exceeded(1),
-    usage,
-    limit,
-    readUsage,
-    readLimit,
-  };
+function remainingFifteenMin() {
+  return getRemaining().fifteenMin ?? Infinity;
 }
 
-async function request(endpoint, token) {
-  const res = await fetch(`${STRAVA_API}${endpoint}`, {
-    headers: { Authorization: `Bearer ${token}` },
-  });
+/**
+ * All calls go through the shared queue; background work may be deferred
+ * while the 15-minute budget is nearly used up.
+ */
+async function request(endpoint, token, priority = PRIORITY.USER) {
+  const res = await schedule(
+    () => fetch(`${STRAVA_API}${endpoint}`, { headers: { Authorization: `Bearer ${token}` } }),
+    priority
+  );
+  recordRateLimit(res.headers);
 
   if (!res.ok) {
     const error = new Error(`Strava API error: ${res.status}`);
@@ -58,15 +38,13 @@ async function request(endpoint, token) {
   return res.json();
 }
 
-/**
- * Explore segments within map bounds.
- * https://developers.strava.com/docs/reference/#api-Segments-exploreSegments
- *
- * @param {string} token - Access token
- * @param {object} params
- * @param {[number,number,number,number]} params.bounds - [SW_lat, SW_lng, NE_lat, NE_lng]
- * @returns {Promise<Array>} Array of segment summaries
- */
+// Strava returns at most 10 segments per explore call
+const EXPLORE_LIMIT = 10;
+const EXPLORE_MAX_DEPTH = 3;
+const EXPLORE_REQUEST_BUDGET = 40;
+// Calls to leave in the 15-minute window for details and other work
+const RATE_LIMIT_RESERVE = 30;
+
 function splitBoundsIntoQuadrants([swLat, swLng, neLat, neLng]) {
   const midLat = (swLat + neLat) / 2;
   const midLng = (swLng + neLng) / 2;
@@ -78,38 +56,139 @@ function splitBoundsIntoQuadrants([swLat, swLng, neLat, neLng]) {
   ];
 }
 
-export async function exploreSegments(token, { bounds }) {
-  const quadrants = splitBoundsIntoQuadrants(bounds);
+/**
+ * Explore segments within map bounds.
+ * https://developers.strava.com/docs/reference/#api-Segments-exploreSegments
+ *
+ * The bounds are split into quadrants, each explored per surface. Because
+ * Strava caps every call at 10 segments, a saturated cell is split again
+ * (breadth-first) until maxDepth, the request budget, or the live 15-minute
+ * rate limit stops it.
+ *
+ * @param {string} token - Access token
+ * @param {object} params
+ * @param {[number,number,number,number]} params.bounds - [SW_lat, SW_lng, NE_lat, NE_lng]
+ * @param {number} [params.maxDepth] - Max split depth (1 = quadrants only)
+ * @param {number} [params.budget] - Max Strava calls for this explore
+ * @param {boolean} [params.split] - Start from quadrants; false explores the
+ *   bounds as a whole first (small boxes, e.g. along a route)
+ * @returns {Promise<{ segments: Array, coverage: number, requests: number }>} Segment
+ *   summaries tagged with surface, the share (0–1) of bounds × surfaces that
+ *   came back below the 10-segment cap, and the Strava calls it took
+ */
+export async function exploreSegments(
+  token,
+  { bounds, maxDepth = EXPLORE_MAX_DEPTH, budget = EXPLORE_REQUEST_BUDGET, split = true }
+) {
+  const seen = new Set();
+  const results = [];
+  let coverage = 0;
+  let requests = 0;
+
+  // Each cell is one call: a quadrant for one surface, with its share of the total area
+  const first = split ? splitBoundsIntoQuadrants(bounds) : [bounds];
+  let level = first.flatMap((q) => [
+    { bounds: q, surface: 'paved', depth: 1, share: 1 / (2 * first.length) },
+    { bounds: q, surface: 'unpaved', depth: 1, share: 1 / (2 * first.length) },
+  ]);
+
+  while (level.length > 0) {
+    const headroom = Math.min(budget - requests, remainingFifteenMin() - RATE_LIMIT_RESERVE);
+    // The first level always runs — it's what a plain explore would cost
+    const cells = requests === 0 ? level : level.slice(0, Math.max(0, headroom));
+    if (cells.length === 0) break;
+    requests += cells.length;
+
+    const responses = await Promise.all(
+      cells.map((cell) => {
+        const boundsStr = cell.bounds.map((b) => b.toFixed(6)).join(',');
+        const sSurface = cell.surface === 'paved' ? 1 : 2;
+        return request(
+          `/segments/explore?bounds=${boundsStr}&activity_type=riding&sSurface=${sSurface}`,
+          token
+        ).then((r) => r.segments || []);
+      })
+    );
+
+    const next = [];
+    responses.forEach((segs, i) => {
+      const cell = cells[i];
+      for (const seg of segs) {
+        if (!seen.has(seg.id)) {
+          seen.add(seg.id);
+          results.push({ ...seg, surface: cell.surface });
+        }
+      }
+
+      if (segs.length < EXPLORE_LIMIT) {
+        coverage += cell.share;
+      } else if (cell.depth < maxDepth) {
+        for (const q of splitBoundsIntoQuadrants(cell.bounds)) {
+          next.push({ bounds: q, surface: cell.surface, depth: cell.depth + 1, share: cell.share / 4 });
+        }
+      }
+    });
+
+    level = next;
+  }
 
-  const requests = quadrants.flatMap((q) => {
-    const boundsStr = q.map((b) => b.toFixed(6)).join(',');
-    const base = `/segments/explore?bounds=${boundsStr}&activity_type=riding`;
-    return [
-      request(`${base}&sSurface=1`, token).then((r) => [r.segments || [], 'paved']),
-      request(`${base}&sSurface=2`, token).then((r) => [r.segments || [], 'unpaved']),
-    ];
-  });
+  return { segments: results, coverage, requests };
+}
 
-  const responses = await Promise.all(requests);
+// Route corridors: small boxes, so one split level is usually enough
+const ROUTE_BOX_MAX_DEPTH = 2;
+const ROUTE_BOX_BUDGET = 6;
+const ROUTE_REQUEST_BUDGET = 80;
 
+/**
+ * Explore a chain of boxes along a route, one after the other, until all
+ * are done, the budget (own or the live 15-minute window) runs out or the
+ * signal is aborted.
+ *
+ * @param {string} token - Access token
+ * @param {Array<[number,number,number,number]>} boxes - In ride order
+ * @param {object} [options]
+ * @param {number} [options.budget] - Max Strava calls for the whole route
+ * @param {(explored: number, segments: Array) => void} [options.onProgress] - After each box,
+ *   with that box's new segments
+ * @param {AbortSignal} [options.signal] - Checked between boxes; the running box finishes
+ * @returns {Promise<{ segments: Array, explored: number }>} explored = boxes done
+ */
+export async function exploreAlongRoute(token, boxes, { budget = ROUTE_REQUEST_BUDGET, onProgress, signal } = {}) {
   const seen = new Set();
   const results = [];
-  for (const [segs, surface] of responses) {
-    for (const seg of segs) {
-      if (!seen.has(seg.id)) {
-        seen.add(seg.id);
-        results.push({ ...seg, surface });
-      }
-    }
+  let requests = 0;
+  let explored = 0;
+
+  for (const bounds of boxes) {
+    if (signal?.aborted) break;
+    // A box costs at least one call per surface
+    const headroom = Math.min(budget - requests, remainingFifteenMin() - RATE_LIMIT_RESERVE);
+    if (headroom < 2) break;
+
+    const result = await exploreSegments(token, {
+      bounds,
+      split: false,
+      maxDepth: ROUTE_BOX_MAX_DEPTH,
+      budget: Math.min(ROUTE_BOX_BUDGET, headroom),
+    });
+    requests += result.requests;
+    explored++;
+
+    const fresh = result.segments.filter((seg) => !seen.has(seg.id));
+    fresh.forEach((seg) => seen.add(seg.id));
+    results.push(...fresh);
+    onProgress?.(explored, fresh);
   }
-  return results;
+
+  return { segments: results, explored };
 }
 
 /**
  * Get the authenticated athlete's profile (includes weight in kg).
  */
 export async function getAthlete(token) {
-  return request('/athlete', token);
+  return request('/athlete', token, PRIORITY.BACKGROUND);
 }
 
 /**
@@ -119,7 +198,37 @@ export async function getAthlete(token) {
  * @param {string} token - Access token
  * @param {number} segmentId
  * @returns {Promise<object>} Full segment details (distance, xoms, elevation, etc.)
+ *   The athlete's own PR (athlete_segment_stats) is also recorded per athlete.
  */
 export async function getSegmentById(token, segmentId) {
-  return request(`/segments/${segmentId}`, token);
+  const segment = await request(`/segments/${segmentId}`, token);
+  recordStats({ [segmentId]: segment.athlete_segment_stats });
+  return segment;
+}
+
+
+/**
+ * Get the elevation profile of a segment as a list of points.
+ * https://developers.strava.com/docs/reference/#api-Streams-getSegmentStreams
+ *
+ * @param {string} token - Access token
+ * @param {number} segmentId
+ * @returns {Promise<Array<{ distance: number, altitude: number, latlng: [number, number] | null }>>}
+ *   Cumulative distance (m) and altitude (m) per point, in ride order
+ */
+export async function getSegmentStreams(token, segmentId) {
+  const streams = await request(
+    `/segments/${segmentId}/streams?keys=latlng,distance,altitude&key_by_type=true`,
+    token
+  );
+
+  const distance = streams.distance?.data || [];
+  const altitude = streams.altitude?.data || [];
+  const latlng = streams.latlng?.data || [];
+
+  const points = [];
+  for (let i = 0; i < Math.min(distance.length, altitude.length); i++) {
+    points.push({ distance: distance[i], altitude: altitude[i], latlng: latlng[i] || null });
+  }
+  return points;
 }
@@ -0,0 +1,61 @@
+import { LS_TARGETS } from './constants.js';
+
+/**
+ * Personal target list, stored locally first.
+ *
+ * Record shape (same as the Worker's Target, see worker/worker.js):
+ *   { segment_id, note, target_date, added_at, updated_at, deleted, snapshot }
+ * Times are Unix seconds. Removing a target keeps a tombstone
+ * (deleted: true) so the removal survives a sync; snapshot holds
+ * { data, details, surface } so the list works anywhere on the map.
+ * Tombstones are dropped after TOMBSTONE_TTL_DAYS, like on the Worker.
+ */
+
+const TOMBSTONE_TTL_DAYS = 30;
+
+export function loadTargets() {
+  try {
+    return pruneTombstones(JSON.parse(localStorage.getItem(LS_TARGETS)) || {});
+  } catch {
+    return {};
+  }
+}
+
+export function saveTargets(targets) {
+  try {
+    localStorage.setItem(LS_TARGETS, JSON.stringify(targets));
+  } catch {
+    console.warn('Failed to store targets');
+  }
+}
+
+export function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Drop tombstones older than TOMBSTONE_TTL_DAYS — every device that syncs
+ * within that time has picked up the removal by then.
+ */
+function pruneTombstones(targets) {
+  const cutoff = nowSeconds() - TOMBSTONE_TTL_DAYS * 86400;
+  const entries = Object.entries(targets);
+  const kept = entries.filter(([, t]) => !(t.deleted && t.updated_at < cutoff));
+  return kept.length === entries.length ? targets : Object.fromEntries(kept);
+}
+
+/**
+ * Merge two target maps ({ [segment_id]: Target }); per segment the newer
+ * updated_at wins. A missing snapshot is taken from the other side.
+ * Expired tombstones are dropped from the result.
+ */
+export function mergeTargets(local, remote) {
+  const merged = { ...local };
+  for (const target of remote) {
+    const mine = merged[target.segment_id];
+    if (!mine || target.updated_at > mine.updated_at) {
+      merged[target.segment_id] = { ...target, snapshot: target.snapshot || mine?.snapshot || null };
+    }
+  }
+  return pruneTombstones(merged);
+}
@@ -0,0 +1,98 @@
+/**
+ * Wind input for the difficulty model.
+ *
+ * A wind vector is described meteorologically:
+ *   { speed: km/h, direction: degrees the wind blows FROM (0 = N, 90 = E) }
+ *
+ * Providers resolve a wind vector for a map position. Each one has the shape
+ *   { label, getWind(lat, lng) → Promise<{ speed, direction }> }
+ * so a new weather service only needs an entry in WIND_PROVIDERS.
+ *
+ * A provider wind is only valid around the position it was fetched for: it
+ * carries the grid `cell` (see windCell) and applies to segments starting
+ * in that cell. A manual wind has no cell and applies everywhere.
+ */
+
+/**
+ * Open-Meteo current conditions (free, no API key).
+ * https://open-meteo.com/en/docs
+ */
+const openMeteoProvider = {
+  label: 'Open-Meteo',
+  async getWind(lat, lng) {
+    const params = new URLSearchParams({
+      latitude: lat.toFixed(3),
+      longitude: lng.toFixed(3),
+      current: 'wind_speed_10m,wind_direction_10m',
+      wind_speed_unit: 'kmh',
+    });
+    const res = await fetch(`https://api.open-meteo.com/v1/forecast?${params}`);
+    if (!res.ok) {
+      const err = new Error(`Weather API error: ${res.status}`);
+      err.status = res.status;
+      throw err;
+    }
+    const { current } = await res.json();
+    return { speed: current.wind_speed_10m, direction: current.wind_direction_10m };
+  },
+};
+
+/**
+ * Local mock for development and tests — no network.
+ * A steady south-westerly, the prevailing wind on the Swiss plateau.
+ */
+const mockProvider = {
+  label: 'Mock (SW 20 km/h)',
+  async getWind() {
+    return { speed: 20, direction: 225 };
+  },
+};
+
+export const WIND_PROVIDERS = {
+  'open-meteo': openMeteoProvider,
+  mock: mockProvider,
+};
+
+export const COMPASS_POINTS = ['N', 'NO', 'O', 'SO', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Headwind component of the wind for a rider heading in a given direction.
+ *
+ * @param {{ speed: number, direction: number }} wind - km/h, degrees (from)
+ * @param {number} heading - Rider's bearing in degrees
+ * @returns {number} m/s — positive = headwind, negative = tailwind
+ */
+export function headwindComponent(wind, heading) {
+  if (!wind || heading == null) return 0;
+  const angle = ((wind.direction - heading) * Math.PI) / 180;
+  return (wind.speed / 3.6) * Math.cos(angle);
+}
+
+/**
+ * Grid cell of a position, ~10 km: 0.1° in latitude and longitude.
+ *
+ * @returns {string} e.g. "47.4,8.5"
+ */
+export function windCell(lat, lng) {
+  return `${lat.toFixed(1)},${lng.toFixed(1)}`;
+}
+
+/**
+ * The wind a segment starting at `latlng` is rated with: a provider wind only
+ * inside its cell, a manual wind everywhere.
+ *
+ * @param {{ speed: number, direction: number, cell?: string }|null} wind
+ * @param {[number, number]|null} latlng - Segment start
+ * @returns {{ speed: number, direction: number }|null}
+ */
+export function windAt(wind, latlng) {
+  if (!wind?.cell) return wind || null;
+  return latlng && windCell(latlng[0], latlng[1]) === wind.cell ? wind : null;
+}
+
+/**
+ * Human-readable compass label for a wind direction, e.g. 225 → "SW".
+ */
+export function compassLabel(direction) {
+  return COMPASS_POINTS[Math.round((((direction % 360) + 360) % 360) / 45) % 8];
+}
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { windCell, windAt } from './wind.js';
+
+test('windCell rounds to 0.1°', () => {
+  assert.equal(windCell(47.3769, 8.5417), '47.4,8.5');
+  assert.equal(windCell(-33.92, 18.42), '-33.9,18.4');
+});
+
+test('a provider wind applies only inside its cell, a manual wind everywhere', () => {
+  const provider = { speed: 20, direction: 225, cell: '47.4,8.5' };
+  assert.equal(windAt(provider, [47.37, 8.54]), provider);
+  assert.equal(windAt(provider, [46.95, 7.45]), null);
+  assert.equal(windAt(provider, null), null);
+
+  const manual = { speed: 20, direction: 225 };
+  assert.equal(windAt(manual, [46.95, 7.45]), manual);
+  assert.equal(windAt(null, [47.37, 8.54]), null);
+});
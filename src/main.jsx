@@ -1,8 +1,11 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import { registerServiceWorker } from './lib/serviceWorker.js';
 import './styles/index.css';
 
+registerServiceWorker();
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
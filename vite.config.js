@@ -1,8 +1,47 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+/**
+ * Writes precache-manifest.json (the built JS/CSS/asset URLs) so the
+ * service worker in public/sw.js can cache the app shell on install, and
+ * stamps the copied sw.js with a hash of that list as its cache VERSION.
+ * Asset names carry content hashes, so the version changes with every
+ * build that changes the app.
+ */
+function precacheManifest() {
+  let outDir;
+  let version;
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir);
+    },
+    generateBundle(_, bundle) {
+      const files = Object.keys(bundle)
+        .filter((file) => !file.endsWith('.map'))
+        .map((file) => `/${file}`);
+      version = createHash('sha256').update([...files].sort().join('\n')).digest('hex').slice(0, 12);
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(files),
+      });
+    },
+    // public/ is copied after the bundle is written
+    closeBundle() {
+      const sw = path.join(outDir, 'sw.js');
+      if (!version || !fs.existsSync(sw)) return;
+      fs.writeFileSync(sw, fs.readFileSync(sw, 'utf8').replace("const VERSION = 'dev';", `const VERSION = '${version}';`));
+    },
+  };
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   server: {
     port: 3000,
   },
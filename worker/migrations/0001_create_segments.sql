@@ -0,0 +1,24 @@
+-- Segment detail cache (GET /api/segments/:id, POST /api/segments/batch).
+-- Columns match upsert() in worker.js.
+CREATE TABLE IF NOT EXISTS segments (
+  id                   INTEGER PRIMARY KEY,
+  name                 TEXT    NOT NULL,
+  distance             REAL,
+  avg_grade            REAL,
+  elev_difference      REAL,
+  start_lat            REAL,
+  start_lng            REAL,
+  end_lat              REAL,
+  end_lng              REAL,
+  points               TEXT,
+  surface              TEXT,
+  total_elevation_gain REAL,
+  kom_time             TEXT,
+  qom_time             TEXT,
+  star_count           INTEGER NOT NULL DEFAULT 0,
+  strava_href          TEXT,
+  extracted_at         INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_segments_start ON segments (start_lat, start_lng);
+CREATE INDEX IF NOT EXISTS idx_segments_extracted_at ON segments (extracted_at);
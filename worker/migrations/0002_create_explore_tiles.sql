@@ -0,0 +1,9 @@
+-- Explore cache per slippy-map tile (GET /api/explore).
+CREATE TABLE IF NOT EXISTS explore_tiles (
+  tile       TEXT    PRIMARY KEY,   -- "z/x/y"
+  segments   TEXT    NOT NULL,      -- JSON array of explore summaries, tagged with surface
+  coverage   REAL    NOT NULL DEFAULT 1,
+  fetched_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_explore_tiles_fetched_at ON explore_tiles (fetched_at);
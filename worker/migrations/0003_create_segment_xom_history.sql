@@ -0,0 +1,18 @@
+-- Every distinct KOM/QOM time a segment has had, with when it was first seen
+-- (GET /api/segments/:id/history). segments.kom_time/qom_time only hold the latest.
+CREATE TABLE IF NOT EXISTS segment_xom_history (
+  segment_id    INTEGER NOT NULL,
+  kind          TEXT    NOT NULL CHECK (kind IN ('kom', 'qom')),
+  time          TEXT    NOT NULL,   -- as delivered by Strava, e.g. "5:32"
+  seconds       INTEGER,
+  first_seen_at INTEGER NOT NULL,   -- Unix seconds
+  UNIQUE (segment_id, kind, time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_xom_history_segment ON segment_xom_history (segment_id, first_seen_at);
+
+-- Seed with what the cache already knows
+INSERT OR IGNORE INTO segment_xom_history (segment_id, kind, time, first_seen_at)
+  SELECT id, 'kom', kom_time, extracted_at FROM segments WHERE kom_time IS NOT NULL;
+INSERT OR IGNORE INTO segment_xom_history (segment_id, kind, time, first_seen_at)
+  SELECT id, 'qom', qom_time, extracted_at FROM segments WHERE qom_time IS NOT NULL;
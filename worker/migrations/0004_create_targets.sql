@@ -0,0 +1,14 @@
+-- Personal target lists (GET/PUT /api/targets), keyed by Strava athlete ID.
+-- Removed targets stay as tombstones (deleted = 1) so other devices pick up
+-- the removal; the newer updated_at wins on every merge.
+CREATE TABLE IF NOT EXISTS targets (
+  athlete_id  INTEGER NOT NULL,
+  segment_id  INTEGER NOT NULL,
+  note        TEXT,
+  target_date TEXT,                -- "YYYY-MM-DD"
+  added_at    INTEGER NOT NULL,    -- Unix seconds
+  updated_at  INTEGER NOT NULL,    -- Unix seconds
+  deleted     INTEGER NOT NULL DEFAULT 0,
+  snapshot    TEXT,                -- JSON { data, details, surface } for display anywhere
+  PRIMARY KEY (athlete_id, segment_id)
+);
@@ -0,0 +1,19 @@
+-- History rows are changes, not distinct values: a KOM that goes back to an
+-- earlier time (A → B → A) needs a third row. The UNIQUE constraint of 0003
+-- swallowed that, so the table is rebuilt without it. The Worker now only
+-- inserts when the time differs from the segment's latest row.
+CREATE TABLE segment_xom_history_new (
+  segment_id    INTEGER NOT NULL,
+  kind          TEXT    NOT NULL CHECK (kind IN ('kom', 'qom')),
+  time          TEXT    NOT NULL,   -- as delivered by Strava, e.g. "5:32"
+  seconds       INTEGER,
+  first_seen_at INTEGER NOT NULL    -- Unix seconds
+);
+
+INSERT INTO segment_xom_history_new (segment_id, kind, time, seconds, first_seen_at)
+  SELECT segment_id, kind, time, seconds, first_seen_at FROM segment_xom_history;
+
+DROP TABLE segment_xom_history;
+ALTER TABLE segment_xom_history_new RENAME TO segment_xom_history;
+
+CREATE INDEX IF NOT EXISTS idx_xom_history_segment ON segment_xom_history (segment_id, first_seen_at);
@@ -2,27 +2,84 @@
  * Segment Scout — Cloudflare Worker
  *
  * Endpoints:
+ *   GET  /api/segments?bounds=…     Query the D1 cache by area and filters
  *   GET  /api/segments/:id          Cache-first detail lookup
  *   POST /api/segments/:id/refresh  Force re-fetch from Strava
+ *   GET  /api/segments/:id/history  Every KOM/QOM time seen for a segment
+ *   POST /api/segments/batch        Cache-first detail lookup for many IDs
+ *   GET  /api/explore?bounds=…      Tile-cached segment explore
+ *   GET  /api/targets               The athlete's synced target list
+ *   PUT  /api/targets               Merge a target list, newest edit wins
+ *   GET  /api/health                Schema version check
  *
  * Auth:
  *   User's Strava token must be passed as Authorization: Bearer <token>
  *   It is forwarded to Strava on cache miss — never stored.
+ *   /api/targets resolves it to the athlete ID via Strava's /athlete.
+ *
+ * Per-athlete data:
+ *   Strava's segment detail carries the caller's own PR (athlete_segment_stats).
+ *   It is passed through whenever a request reaches Strava but never written
+ *   to the shared segments table — other users would see it.
+ *
+ * Rate limits:
+ *   Whenever a request reaches Strava, the response carries Strava's
+ *   x-ratelimit-* / x-readratelimit-* headers for the frontend's budget.
  *
  * Environment (wrangler.toml + secrets):
  *   DB                  D1 database binding
  *   STRAVA_CLIENT_ID    For OAuth exchange
  *   STRAVA_CLIENT_SECRET
  *
+ * Schema:
+ *   Versioned migrations in worker/migrations/, applied with
+ *   `wrangler d1 migrations apply`. Wrangler records applied files in the
+ *   d1_migrations table. SCHEMA_VERSION is the number of the newest
+ *   migration this code expects — bump it together with every new file.
+ *
  * Config:
  *   CACHE_TTL_DAYS      90   — re-fetch from Strava if older than this
  *   REFRESH_MIN_AGE_DAYS 7   — minimum age before user can force refresh
+ *   BATCH_MAX_IDS       100  — max IDs per batch request (D1 bound-parameter limit)
+ *   BATCH_CONCURRENCY   4    — parallel Strava fetches per batch request
+ *   EXPLORE_ZOOM        13   — slippy-map zoom level of explore cache tiles
+ *   EXPLORE_TTL_DAYS    30   — re-explore a tile from Strava if older than this
+ *   EXPLORE_MAX_TILES   64   — max tiles a single explore request may cover
+ *   EXPLORE_CALL_BUDGET 24   — max Strava explore calls per request
+ *   EXPLORE_MAX_DEPTH   2    — how often a saturated tile may be split into quadrants
+ *   RATE_LIMIT_RESERVE  30   — stop subdividing when fewer 15-min calls remain
+ *   QUERY_DEFAULT_LIMIT 100  — page size of GET /api/segments
+ *   QUERY_MAX_LIMIT     200
+ *   TARGETS_MAX         500  — max targets per athlete (tombstones included) and PUT
+ *   TARGETS_MAX_BODY    4 MB — max PUT /api/targets body
+ *   NOTE_MAX_LENGTH     1000 — longer target notes are cut off
+ *   SNAPSHOT_MAX_LENGTH 16 KB — larger target snapshots (as JSON) are not stored
+ *   TOMBSTONE_TTL_DAYS  30   — drop removed targets after this; devices offline longer re-add them
+ *   ATHLETE_CACHE_MAX   1000 — token → athlete ID entries kept per isolate
  */
 
 // ─── Config ────────────────────────────────────────────────────────────────
 
+const SCHEMA_VERSION       = 5;
 const CACHE_TTL_DAYS       = 90;
 const REFRESH_MIN_AGE_DAYS = 7;
+const BATCH_MAX_IDS        = 100;
+const BATCH_CONCURRENCY    = 4;
+const EXPLORE_ZOOM         = 13;
+const EXPLORE_TTL_DAYS     = 30;
+const EXPLORE_MAX_TILES    = 64;
+const EXPLORE_CALL_BUDGET  = 24;
+const EXPLORE_MAX_DEPTH    = 2;
+const EXPLORE_LIMIT        = 10;   // Strava returns at most 10 segments per explore call
+const RATE_LIMIT_RESERVE   = 30;
+const QUERY_DEFAULT_LIMIT  = 100;
+const QUERY_MAX_LIMIT      = 200;
+const TARGETS_MAX          = 500;
+const TARGETS_MAX_BODY     = 4 * 1024 * 1024;
+const NOTE_MAX_LENGTH      = 1000;
+const SNAPSHOT_MAX_LENGTH  = 16 * 1024;
+const TOMBSTONE_TTL_DAYS   = 30;
+const ATHLETE_CACHE_MAX    = 1000;
 const STRAVA_API           = 'https://www.strava.com/api/v3';
 
 // ─── Router ────────────────────────────────────────────────────────────────
@@ -41,7 +98,35 @@ export default {
         return await handleRefreshToken(request, env);
       }
 
+      // ── Health ─────────────────────────────────────────────────────────
+      if (parts[0] === 'api' && parts[1] === 'health' && request.method === 'GET') {
+        return await handleHealth(env);
+      }
+
+      // ── Explore ────────────────────────────────────────────────────────
+      if (parts[0] === 'api' && parts[1] === 'explore' && request.method === 'GET') {
+        return await handleExplore(request, env, url);
+      }
+
+      // GET|PUT /api/targets
+      if (parts[0] === 'api' && parts[1] === 'targets' && !parts[2]) {
+        if (request.method === 'GET') return await handleGetTargets(request, env);
+        if (request.method === 'PUT') return await handlePutTargets(request, env);
+        return json({ error: 'Method not allowed' }, 405);
+      }
+
       // ── Segment endpoints ──────────────────────────────────────────────
+      // GET /api/segments?bounds=…
+      if (parts[0] === 'api' && parts[1] === 'segments' && !parts[2] && request.method === 'GET') {
+        return await handleQuery(env, url);
+      }
+
+      // POST /api/segments/batch
+      if (parts[0] === 'api' && parts[1] === 'segments' && parts[2] === 'batch') {
+        if (request.method === 'POST') return await handleBatch(request, env);
+        return json({ error: 'Method not allowed' }, 405);
+      }
+
       if (parts[0] === 'api' && parts[1] === 'segments' && parts[2]) {
         const segmentId = parseInt(parts[2], 10);
         if (isNaN(segmentId)) return json({ error: 'Invalid segment ID' }, 400);
@@ -51,6 +136,11 @@ export default {
           return await handleRefresh(request, env, segmentId);
         }
 
+        // GET /api/segments/:id/history
+        if (parts[3] === 'history' && request.method === 'GET') {
+          return await handleHistory(env, segmentId);
+        }
+
         // GET /api/segments/:id
         if (request.method === 'GET') {
           return await handleSegment(request, env, segmentId);
@@ -65,6 +155,106 @@ export default {
   },
 };
 
+// ─── GET /api/health ───────────────────────────────────────────────────────
+
+/**
+ * Reports the applied schema version against the one this code expects.
+ * `ok: false` means migrations are missing — run
+ * `wrangler d1 migrations apply` before the endpoints that need the new
+ * tables or columns start failing.
+ */
+async function handleHealth(env) {
+  const applied = await getSchemaVersion(env.DB);
+  const ok = applied.version >= SCHEMA_VERSION;
+  return json(
+    {
+      ok,
+      schemaVersion: applied.version,
+      expectedSchemaVersion: SCHEMA_VERSION,
+      latestMigration: applied.name,
+    },
+    ok ? 200 : 503
+  );
+}
+
+// ─── GET /api/segments ─────────────────────────────────────────────────────
+
+/**
+ * Spatial query over the D1 segment cache — never calls Strava, so it keeps
+ * working when explore is rate-limited or unavailable.
+ *
+ * Query parameters (all optional except bounds):
+ *   bounds       SW_lat,SW_lng,NE_lat,NE_lng   — matched against the start point
+ *   minGrade     maxGrade                      — avg_grade in percent
+ *   minDistance  maxDistance                   — meters
+ *   surface      'paved' | 'unpaved'
+ *   limit        page size (default QUERY_DEFAULT_LIMIT, max QUERY_MAX_LIMIT)
+ *   cursor       nextCursor of the previous page
+ *
+ * Pagination is keyset on id, so pages stay stable while the cache grows.
+ *
+ * Response: QueryResponse (see bottom of file)
+ */
+async function handleQuery(env, url) {
+  const params = url.searchParams;
+
+  const bounds = (params.get('bounds') || '').split(',').map(Number);
+  if (bounds.length !== 4 || bounds.some((b) => !Number.isFinite(b))) {
+    return json({ error: 'Invalid bounds — expected SW_lat,SW_lng,NE_lat,NE_lng' }, 400);
+  }
+
+  const where = ['start_lat BETWEEN ? AND ?', 'start_lng BETWEEN ? AND ?'];
+  const binds = [bounds[0], bounds[2], bounds[1], bounds[3]];
+
+  const numericFilters = [
+    ['minGrade',    'avg_grade >= ?'],
+    ['maxGrade',    'avg_grade <= ?'],
+    ['minDistance', 'distance >= ?'],
+    ['maxDistance', 'distance <= ?'],
+  ];
+  for (const [name, clause] of numericFilters) {
+    if (!params.has(name)) continue;
+    const value = Number(params.get(name));
+    if (!Number.isFinite(value)) return json({ error: `Invalid ${name}` }, 400);
+    where.push(clause);
+    binds.push(value);
+  }
+
+  const surface = params.get('surface');
+  if (surface) {
+    if (!['paved', 'unpaved'].includes(surface)) return json({ error: 'Invalid surface' }, 400);
+    where.push('surface = ?');
+    binds.push(surface);
+  }
+
+  const cursor = params.has('cursor') ? parseInt(params.get('cursor'), 10) : null;
+  if (cursor != null) {
+    if (isNaN(cursor)) return json({ error: 'Invalid cursor' }, 400);
+    where.push('id > ?');
+    binds.push(cursor);
+  }
+
+  const limit = Math.min(
+    QUERY_MAX_LIMIT,
+    Math.max(1, parseInt(params.get('limit'), 10) || QUERY_DEFAULT_LIMIT)
+  );
+
+  // Fetch one extra row to know whether another page exists
+  const { results } = await env.DB
+    .prepare(`SELECT * FROM segments WHERE ${where.join(' AND ')} ORDER BY id LIMIT ?`)
+    .bind(...binds, limit + 1)
+    .all();
+
+  const rows = results || [];
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+
+  return json({
+    segments: page.map((row) => ({ ...row, _source: 'cache' })),
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  });
+}
+
 // ─── GET /api/segments/:id ─────────────────────────────────────────────────
 
 /**
@@ -88,12 +278,202 @@ async function handleSegment(request, env, segmentId) {
   if (!token) return json({ error: 'Authorization required' }, 401);
 
   const stale = !!cached; // already in DB but old
-  const segment = await fetchFromStrava(segmentId, token);
-  if (!segment) return json({ error: 'Segment not found on Strava' }, 404);
+  const strava = {};
+  const segment = await fetchFromStrava(segmentId, token, strava);
+  if (!segment) return json({ error: 'Segment not found on Strava' }, 404, strava.rateLimitHeaders);
 
   await upsert(env.DB, segment);
+  await recordXomHistory(env.DB, segment);
+
+  return json(
+    { ...segment, _source: stale ? 'stale' : 'miss', athlete_segment_stats: strava.athleteStats?.[segmentId] ?? null },
+    200,
+    strava.rateLimitHeaders
+  );
+}
+
+// ─── POST /api/segments/batch ──────────────────────────────────────────────
+
+/**
+ * Cache-first detail lookup for a list of segments.
+ *
+ * Body: { ids: number[] }  (max BATCH_MAX_IDS)
+ *
+ * 1. One D1 query for all IDs (WHERE id IN (...))
+ * 2. Fresh rows are returned as-is
+ * 3. Missing or stale rows are fetched from Strava, BATCH_CONCURRENCY at a time,
+ *    and upserted
+ *
+ * Response: BatchResponse (see bottom of file)
+ * Each SegmentDetail carries its own _source. IDs Strava couldn't deliver
+ * are listed in `failed` (a stale cached row is returned instead if present).
+ * `athleteStats` holds the caller's PR for every segment fetched from Strava.
+ */
+async function handleBatch(request, env) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400);
+  }
+
+  if (!Array.isArray(body?.ids)) return json({ error: 'Expected { ids: number[] }' }, 400);
+
+  const ids = [...new Set(body.ids.map((id) => parseInt(id, 10)))].filter(
+    (id) => !isNaN(id)
+  );
+  if (ids.length === 0) return json({ error: 'No segment IDs given' }, 400);
+  if (ids.length > BATCH_MAX_IDS) {
+    return json({ error: `At most ${BATCH_MAX_IDS} IDs per request` }, 400);
+  }
+
+  const cachedRows = await getManyFromCache(env.DB, ids);
+
+  const segments = {};
+  const toFetch = [];
+  for (const id of ids) {
+    const cached = cachedRows.get(id);
+    if (cached && isFresh(cached.extracted_at)) {
+      segments[id] = { ...cached, _source: 'cache' };
+    } else {
+      toFetch.push(id);
+    }
+  }
 
-  return json({ ...segment, _source: stale ? 'stale' : 'miss' });
+  const failed = [];
+  const strava = {};
+  if (toFetch.length > 0) {
+    const token = getBearerToken(request);
+    if (!token) return json({ error: 'Authorization required' }, 401);
+
+    await mapWithConcurrency(toFetch, BATCH_CONCURRENCY, async (id) => {
+      const stale = cachedRows.get(id);
+      const segment = await fetchFromStrava(id, token, strava);
+      if (!segment) {
+        failed.push(id);
+        if (stale) segments[id] = { ...stale, _source: 'stale' };
+        return;
+      }
+      await upsert(env.DB, segment);
+      await recordXomHistory(env.DB, segment);
+      segments[id] = { ...segment, _source: stale ? 'stale' : 'miss' };
+    });
+  }
+
+  return json({ segments, failed, athleteStats: strava.athleteStats || {} }, 200, strava.rateLimitHeaders);
+}
+
+// ─── GET /api/explore ──────────────────────────────────────────────────────
+
+/**
+ * Tile-cached segment explore.
+ *
+ * The requested bounds are mapped onto slippy-map tiles at EXPLORE_ZOOM.
+ * Each tile's explore result (both surfaces) is stored in D1, so any area
+ * someone on the team has already explored costs no Strava calls.
+ *
+ * 1. Look up all covered tiles in one D1 query
+ * 2. Fresh tiles are served from the cache
+ * 3. Missing/stale tiles (closest to the centre first) are explored on
+ *    Strava and stored until EXPLORE_CALL_BUDGET is used up; the rest stay
+ *    `pending` and are picked up by the next request for the same area
+ *
+ * Strava caps explore at 10 segments per call. A saturated tile is split
+ * into quadrants (up to EXPLORE_MAX_DEPTH) while budget and the live rate
+ * limit allow. Each tile stores the share of its area that came back
+ * unsaturated; `coverage` is the mean over all requested tiles.
+ *
+ * Query: bounds=SW_lat,SW_lng,NE_lat,NE_lng
+ * Response: ExploreResponse (see bottom of file)
+ */
+async function handleExplore(request, env, url) {
+  const bounds = (url.searchParams.get('bounds') || '').split(',').map(Number);
+  if (bounds.length !== 4 || bounds.some((b) => !Number.isFinite(b))) {
+    return json({ error: 'Invalid bounds — expected SW_lat,SW_lng,NE_lat,NE_lng' }, 400);
+  }
+
+  const tiles = tilesForBounds(bounds, EXPLORE_ZOOM);
+  if (tiles.length > EXPLORE_MAX_TILES) {
+    return json({ error: 'Area too large — zoom in' }, 400);
+  }
+
+  const cachedTiles = await getTilesFromCache(env.DB, tiles.map((t) => t.key));
+
+  const results = [];
+  const toFetch = [];
+  for (const tile of tiles) {
+    const cached = cachedTiles.get(tile.key);
+    if (cached && isTileFresh(cached.fetched_at)) {
+      // Rows written before the field whitelist may still hold per-athlete fields
+      results.push(...JSON.parse(cached.segments).map((seg) => ({ ...toExploreSummary(seg), surface: seg.surface })));
+    } else {
+      toFetch.push(tile);
+    }
+  }
+
+  let fetched = 0;
+  let failed = 0;
+  let rateLimitHeaders = null;
+  let coverageSum = 0;
+  const budget = { calls: EXPLORE_CALL_BUDGET, lowRateLimit: false, rateLimitHeaders: undefined };
+  for (const tile of tiles) {
+    const cached = cachedTiles.get(tile.key);
+    if (cached && isTileFresh(cached.fetched_at)) coverageSum += cached.coverage ?? 1;
+  }
+
+  if (toFetch.length > 0) {
+    const token = getBearerToken(request);
+    if (!token) return json({ error: 'Authorization required' }, 401);
+
+    const [cLat, cLng] = [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+    toFetch.sort((a, b) => tileDistance(a, cLat, cLng) - tileDistance(b, cLat, cLng));
+
+    for (const tile of toFetch) {
+      // A tile needs one call per surface before it can be stored
+      if (budget.calls < 2) break;
+      const explored = await exploreTileOnStrava(tile, token, budget);
+      if (explored.unauthorized) {
+        return json({ error: 'Strava rejected the token' }, 401, budget.rateLimitHeaders);
+      }
+      if (explored.rateLimited) {
+        rateLimitHeaders = explored.rateLimitHeaders;
+        break;
+      }
+      // A tile with a failed call is served but not stored — the next
+      // request tries it again instead of the team getting a hole for 30 days
+      if (explored.failed) failed++;
+      else await upsertTile(env.DB, tile.key, explored.segments, explored.coverage);
+      results.push(...explored.segments);
+      coverageSum += explored.coverage;
+      fetched++;
+    }
+  }
+
+  const cached = tiles.length - toFetch.length;
+  if (rateLimitHeaders && cached + fetched === 0) {
+    return json({ error: 'Strava rate limit exceeded' }, 429, rateLimitHeaders);
+  }
+  // Nothing usable at all — an error lets the client fall back instead of
+  // showing an empty map as if the area had no segments
+  if (cached === 0 && fetched > 0 && failed === fetched) {
+    return json({ error: 'Strava explore failed' }, 502, budget.rateLimitHeaders);
+  }
+
+  const seen = new Set();
+  const segments = results.filter((seg) => !seen.has(seg.id) && seen.add(seg.id));
+
+  return json({
+    segments,
+    tiles: {
+      total: tiles.length,
+      cached,
+      fetched,
+      failed,
+      pending: toFetch.length - fetched,
+    },
+    coverage: coverageSum / tiles.length,
+    rateLimited: !!rateLimitHeaders,
+  }, 200, budget.rateLimitHeaders);
 }
 
 // ─── POST /api/segments/:id/refresh ────────────────────────────────────────
@@ -117,12 +497,145 @@ async function handleRefresh(request, env, segmentId) {
     });
   }
 
-  const segment = await fetchFromStrava(segmentId, token);
-  if (!segment) return json({ error: 'Segment not found on Strava' }, 404);
+  const strava = {};
+  const segment = await fetchFromStrava(segmentId, token, strava);
+  if (!segment) return json({ error: 'Segment not found on Strava' }, 404, strava.rateLimitHeaders);
 
   await upsert(env.DB, segment);
+  await recordXomHistory(env.DB, segment);
+
+  return json(
+    {
+      ...segment,
+      refreshAllowed: true,
+      _source: 'refresh',
+      athlete_segment_stats: strava.athleteStats?.[segmentId] ?? null,
+    },
+    200,
+    strava.rateLimitHeaders
+  );
+}
+
+// ─── GET /api/segments/:id/history ─────────────────────────────────────────
+
+/**
+ * KOM/QOM history from D1 only — never calls Strava.
+ * A new entry appears whenever a fetch (detail, batch or refresh) sees a
+ * time that differs from the latest recorded one, so a fallen KOM is kept,
+ * not overwritten — and one that returns to an earlier time shows up again.
+ */
+async function handleHistory(env, segmentId) {
+  const { results } = await env.DB
+    .prepare(`
+      SELECT kind, time, seconds, first_seen_at
+      FROM segment_xom_history
+      WHERE segment_id = ?
+      ORDER BY first_seen_at ASC, rowid ASC
+    `)
+    .bind(segmentId)
+    .all();
+
+  const history = { segmentId, kom: [], qom: [] };
+  for (const row of results || []) {
+    history[row.kind].push({
+      time:          row.time,
+      seconds:       row.seconds ?? parseTimeSeconds(row.time),
+      first_seen_at: row.first_seen_at,
+    });
+  }
+  return json(history);
+}
+
+// ─── GET|PUT /api/targets ──────────────────────────────────────────────────
+
+/**
+ * The athlete's target list, including tombstones of removed targets.
+ *
+ * Response: TargetsResponse (see bottom of file)
+ */
+async function handleGetTargets(request, env) {
+  const athlete = await resolveAthlete(request);
+  if (athlete.error) return athlete.error;
+
+  return json({ targets: await getTargets(env.DB, athlete.id) });
+}
+
+/**
+ * Merge the client's list into D1: per segment the newer updated_at wins,
+ * so edits from several devices converge. Returns the merged list.
+ * Tombstones older than TOMBSTONE_TTL_DAYS are dropped first; the rest
+ * count towards TARGETS_MAX like active targets. The rows land in the
+ * shared D1, so the body, notes and snapshots are size-limited.
+ *
+ * Body: { targets: Target[] }
+ * Response: TargetsResponse
+ */
+async function handlePutTargets(request, env) {
+  const athlete = await resolveAthlete(request);
+  if (athlete.error) return athlete.error;
+
+  // Checked before parsing: the header when the client sends one, the text always
+  const tooLarge = () => json({ error: `Body larger than ${TARGETS_MAX_BODY} bytes` }, 413);
+  if (Number(request.headers.get('Content-Length')) > TARGETS_MAX_BODY) return tooLarge();
+  const text = await request.text();
+  if (text.length > TARGETS_MAX_BODY) return tooLarge();
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return json({ error: 'Invalid JSON body' }, 400);
+  }
+  const targets = body?.targets;
+  if (!Array.isArray(targets)) return json({ error: 'Expected { targets: [...] }' }, 400);
+  if (targets.length > TARGETS_MAX) return json({ error: `At most ${TARGETS_MAX} targets` }, 400);
+
+  const tombstoneCutoff = Math.floor(Date.now() / 1000) - TOMBSTONE_TTL_DAYS * 86400;
+  await deleteExpiredTombstones(env.DB, athlete.id, tombstoneCutoff);
+
+  // Expired tombstones from a device that was offline would only be pruned again
+  const valid = targets
+    .filter(
+      (t) => Number.isInteger(t?.segment_id) && Number.isInteger(t.updated_at) && Number.isInteger(t.added_at)
+        && !(t.deleted && t.updated_at < tombstoneCutoff)
+    )
+    .map(toStoredTarget);
+
+  const stored = await getTargetIds(env.DB, athlete.id);
+  const total = new Set([...stored, ...valid.map((t) => t.segment_id)]).size;
+  if (total > TARGETS_MAX) return json({ error: `At most ${TARGETS_MAX} targets` }, 400);
+
+  if (valid.length) {
+    await env.DB.batch(valid.map((t) => upsertTarget(env.DB, athlete.id, t)));
+  }
+
+  return json({ targets: await getTargets(env.DB, athlete.id) });
+}
+
+// Token → athlete ID, per isolate — saves a Strava call on repeated syncs.
+// Insertion-ordered, so the oldest token is evicted first.
+const athleteIds = new Map();
+
+/**
+ * Resolve the bearer token to a Strava athlete ID.
+ * Returns { id } or { error: Response }.
+ */
+async function resolveAthlete(request) {
+  const token = getBearerToken(request);
+  if (!token) return { error: json({ error: 'Authorization required' }, 401) };
+  if (athleteIds.has(token)) return { id: athleteIds.get(token) };
 
-  return json({ ...segment, refreshAllowed: true, _source: 'refresh' });
+  const res = await fetch(`${STRAVA_API}/athlete`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const rateLimitHeaders = pickRateLimitHeaders(res.headers);
+  if (res.status === 401) return { error: json({ error: 'Invalid token' }, 401, rateLimitHeaders) };
+  if (!res.ok) return { error: json({ error: `Strava API error: ${res.status}` }, res.status, rateLimitHeaders) };
+
+  const { id } = await res.json();
+  if (athleteIds.size >= ATHLETE_CACHE_MAX) athleteIds.delete(athleteIds.keys().next().value);
+  athleteIds.set(token, id);
+  return { id };
 }
 
 // ─── OAuth: POST /exchange ─────────────────────────────────────────────────
@@ -181,6 +694,24 @@ async function handleRefreshToken(request, env) {
 
 // ─── D1 helpers ────────────────────────────────────────────────────────────
 
+/**
+ * Newest applied migration from wrangler's d1_migrations table.
+ * Version is the numeric prefix of its file name ("0002_…" → 2);
+ * 0 if no migration has been applied yet.
+ */
+async function getSchemaVersion(db) {
+  try {
+    const row = await db
+      .prepare('SELECT name FROM d1_migrations ORDER BY id DESC LIMIT 1')
+      .first();
+    if (!row) return { version: 0, name: null };
+    return { version: parseInt(row.name, 10) || 0, name: row.name };
+  } catch {
+    // Table doesn't exist — migrations were never applied
+    return { version: 0, name: null };
+  }
+}
+
 async function getFromCache(db, segmentId) {
   const result = await db
     .prepare('SELECT * FROM segments WHERE id = ?')
@@ -189,6 +720,48 @@ async function getFromCache(db, segmentId) {
   return result || null;
 }
 
+async function getManyFromCache(db, segmentIds) {
+  const placeholders = segmentIds.map(() => '?').join(', ');
+  const { results } = await db
+    .prepare(`SELECT * FROM segments WHERE id IN (${placeholders})`)
+    .bind(...segmentIds)
+    .all();
+  return new Map((results || []).map((row) => [row.id, row]));
+}
+
+// The explore_tiles table comes with migration 0002. Without it the tile
+// cache is skipped and explore still answers straight from Strava.
+async function getTilesFromCache(db, tileKeys) {
+  const placeholders = tileKeys.map(() => '?').join(', ');
+  try {
+    const { results } = await db
+      .prepare(`SELECT * FROM explore_tiles WHERE tile IN (${placeholders})`)
+      .bind(...tileKeys)
+      .all();
+    return new Map((results || []).map((row) => [row.tile, row]));
+  } catch (err) {
+    console.error('Explore tile cache unavailable:', err.message);
+    return new Map();
+  }
+}
+
+async function upsertTile(db, tileKey, segments, coverage) {
+  try {
+    await db
+      .prepare(`
+        INSERT INTO explore_tiles (tile, segments, coverage, fetched_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(tile) DO UPDATE SET
+          segments   = excluded.segments,
+          coverage   = excluded.coverage,
+          fetched_at = excluded.fetched_at
+      `)
+      .bind(tileKey, JSON.stringify(segments), coverage, Math.floor(Date.now() / 1000))
+      .run();
+  } catch (err) {
+    console.error('Explore tile not cached:', err.message);
+  }
+}
+
 async function upsert(db, segment) {
   await db
     .prepare(`
@@ -243,19 +816,151 @@ async function upsert(db, segment) {
     .run();
 }
 
+/**
+ * Adds the segment's current KOM/QOM to the history when it differs from
+ * the latest recorded time — a return to an earlier time is a new row too.
+ */
+async function recordXomHistory(db, segment) {
+  // Only a change against the latest row is recorded, so A → B → A keeps all three
+  const statement = db.prepare(`
+    INSERT INTO segment_xom_history (segment_id, kind, time, seconds, first_seen_at)
+    SELECT ?1, ?2, ?3, ?4, ?5
+    WHERE COALESCE((
+      SELECT time FROM segment_xom_history
+      WHERE segment_id = ?1 AND kind = ?2
+      ORDER BY first_seen_at DESC, rowid DESC
+      LIMIT 1
+    ), '') <> ?3
+  `);
+  const entries = [['kom', segment.kom_time], ['qom', segment.qom_time]].filter(([, time]) => time);
+  if (entries.length === 0) return;
+
+  await db.batch(
+    entries.map(([kind, time]) =>
+      statement.bind(segment.id, kind, time, parseTimeSeconds(time), segment.extracted_at)
+    )
+  );
+}
+
+async function getTargets(db, athleteId) {
+  const { results } = await db
+    .prepare(`
+      SELECT segment_id, note, target_date, added_at, updated_at, deleted, snapshot
+      FROM targets WHERE athlete_id = ?
+      ORDER BY added_at ASC
+    `)
+    .bind(athleteId)
+    .all();
+
+  return (results || []).map((row) => ({
+    ...row,
+    deleted: row.deleted === 1,
+    snapshot: row.snapshot ? JSON.parse(row.snapshot) : null,
+  }));
+}
+
+/**
+ * Segment IDs of every stored target of the athlete, tombstones included.
+ */
+async function getTargetIds(db, athleteId) {
+  const { results } = await db
+    .prepare('SELECT segment_id FROM targets WHERE athlete_id = ?')
+    .bind(athleteId)
+    .all();
+  return (results || []).map((row) => row.segment_id);
+}
+
+/**
+ * Remove tombstones last changed before the cutoff (Unix seconds).
+ */
+async function deleteExpiredTombstones(db, athleteId, cutoff) {
+  await db
+    .prepare('DELETE FROM targets WHERE athlete_id = ? AND deleted = 1 AND updated_at < ?')
+    .bind(athleteId, cutoff)
+    .run();
+}
+
+/**
+ * The fields of a client's target that get stored, within the size limits:
+ * the note is cut to NOTE_MAX_LENGTH, a malformed date or an oversized
+ * snapshot is dropped (the stored snapshot then stays).
+ */
+function toStoredTarget(target) {
+  let snapshot = null;
+  if (target.snapshot && typeof target.snapshot === 'object') {
+    const { data, details, surface } = target.snapshot;
+    const encoded = JSON.stringify({ data, details, surface });
+    if (encoded.length <= SNAPSHOT_MAX_LENGTH) snapshot = encoded;
+  }
+  return {
+    segment_id: target.segment_id,
+    note: typeof target.note === 'string' ? target.note.slice(0, NOTE_MAX_LENGTH) : null,
+    target_date: /^\d{4}-\d{2}-\d{2}$/.test(target.target_date) ? target.target_date : null,
+    added_at: target.added_at,
+    updated_at: target.updated_at,
+    deleted: !!target.deleted,
+    snapshot,
+  };
+}
+
+/**
+ * Prepared upsert for db.batch — only overwrites an older version.
+ * Takes the output of toStoredTarget (snapshot already JSON).
+ */
+function upsertTarget(db, athleteId, target) {
+  return db
+    .prepare(`
+      INSERT INTO targets (athlete_id, segment_id, note, target_date, added_at, updated_at, deleted, snapshot)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (athlete_id, segment_id) DO UPDATE SET
+        note        = excluded.note,
+        target_date = excluded.target_date,
+        updated_at  = excluded.updated_at,
+        deleted     = excluded.deleted,
+        snapshot    = COALESCE(excluded.snapshot, targets.snapshot)
+      WHERE excluded.updated_at >= targets.updated_at
+    `)
+    .bind(
+      athleteId,
+      target.segment_id,
+      target.note || null,
+      target.target_date || null,
+      target.added_at,
+      target.updated_at,
+      target.deleted ? 1 : 0,
+      target.snapshot
+    );
+}
+
 // ─── Strava fetch ───────────────────────────────────────────────────────────
 
 /**
  * Fetches /segments/:id from Strava and normalizes to our DB shape.
+ * Stores the response's rate-limit headers on `strava.rateLimitHeaders`
+ * so the handler can forward them to the frontend, and the caller's PR on
+ * `strava.athleteStats[id]`.
  */
-async function fetchFromStrava(segmentId, token) {
+async function fetchFromStrava(segmentId, token, strava = {}) {
   const res = await fetch(`${STRAVA_API}/segments/${segmentId}`, {
     headers: { Authorization: `Bearer ${token}` },
   });
+  strava.rateLimitHeaders = pickRateLimitHeaders(res.headers);
 
   if (!res.ok) return null;
   const s = await res.json();
 
+  // The caller's own PR — handed back separately, never part of the cached row
+  if (s.athlete_segment_stats) {
+    strava.athleteStats = {
+      ...strava.athleteStats,
+      [s.id]: {
+        pr_elapsed_time: s.athlete_segment_stats.pr_elapsed_time ?? null,
+        pr_date:         s.athlete_segment_stats.pr_date ?? null,
+        effort_count:    s.athlete_segment_stats.effort_count ?? 0,
+      },
+    };
+  }
+
   return {
     id:                   s.id,
     name:                 s.name,
@@ -277,6 +982,147 @@ async function fetchFromStrava(segmentId, token) {
   };
 }
 
+/**
+ * Explores one tile on Strava, both surfaces, splitting saturated cells.
+ *
+ * `budget` is shared across all tiles of a request:
+ * { calls, lowRateLimit, rateLimitHeaders } — the latter from the last Strava response.
+ * Returns { segments, coverage, failed } with each summary tagged by surface,
+ * coverage as the share (0–1) of the tile × surfaces that came back
+ * unsaturated and failed set when any call returned an error; or
+ * { rateLimited: true, rateLimitHeaders } on a 429, { unauthorized: true } on a 401.
+ */
+async function exploreTileOnStrava(tile, token, budget) {
+  const segments = [];
+  let coverage = 0;
+  let failed = false;
+
+  for (const [sSurface, surface] of [[1, 'paved'], [2, 'unpaved']]) {
+    const result = await exploreCell(tile.bounds, sSurface, 0, token, budget);
+    if (result.rateLimited || result.unauthorized) return result;
+    for (const seg of result.segments) {
+      if (!segments.some((s) => s.id === seg.id)) segments.push({ ...seg, surface });
+    }
+    coverage += result.coverage / 2;
+    failed ||= !!result.failed;
+  }
+  return { segments, coverage, failed };
+}
+
+/**
+ * One explore call for a cell; recurses into quadrants when the result hit
+ * Strava's 10-segment cap. A 401 aborts the whole request ({ unauthorized }).
+ * Other Strava errors leave the cell empty and uncovered and mark the
+ * result `failed`, so one bad cell can't block the rest of the area but the
+ * tile is not cached either.
+ */
+async function exploreCell(bounds, sSurface, depth, token, budget) {
+  const boundsStr = bounds.map((b) => b.toFixed(6)).join(',');
+  budget.calls--;
+  const res = await fetch(
+    `${STRAVA_API}/segments/explore?bounds=${boundsStr}&activity_type=riding&sSurface=${sSurface}`,
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+  if (res.status === 429) {
+    return { rateLimited: true, rateLimitHeaders: pickRateLimitHeaders(res.headers) };
+  }
+  budget.rateLimitHeaders = pickRateLimitHeaders(res.headers);
+  if (rateLimitRemaining(res.headers) < RATE_LIMIT_RESERVE) budget.lowRateLimit = true;
+  if (res.status === 401) return { unauthorized: true };
+  if (!res.ok) return { segments: [], coverage: 0, failed: true };
+
+  const segments = ((await res.json()).segments || []).map(toExploreSummary);
+  if (segments.length < EXPLORE_LIMIT) return { segments, coverage: 1 };
+
+  // Saturated — split if depth, budget and rate limit allow
+  if (depth >= EXPLORE_MAX_DEPTH || budget.calls < 4 || budget.lowRateLimit) {
+    return { segments, coverage: 0 };
+  }
+
+  let coverage = 0;
+  let failed = false;
+  for (const quadrant of splitBounds(bounds)) {
+    const result = await exploreCell(quadrant, sSurface, depth + 1, token, budget);
+    if (result.rateLimited || result.unauthorized) return result;
+    for (const seg of result.segments) {
+      if (!segments.some((s) => s.id === seg.id)) segments.push(seg);
+    }
+    coverage += result.coverage / 4;
+    failed ||= !!result.failed;
+  }
+  return { segments, coverage, failed };
+}
+
+/**
+ * The athlete-neutral part of an explore summary. The raw one also carries
+ * per-athlete fields (starred, …) that must not end up in the shared tile cache.
+ */
+function toExploreSummary(seg) {
+  return {
+    id:              seg.id,
+    name:            seg.name,
+    climb_category:  seg.climb_category,
+    avg_grade:       seg.avg_grade,
+    start_latlng:    seg.start_latlng,
+    end_latlng:      seg.end_latlng,
+    elev_difference: seg.elev_difference,
+    distance:        seg.distance,
+    points:          seg.points,
+  };
+}
+
+function splitBounds([swLat, swLng, neLat, neLng]) {
+  const midLat = (swLat + neLat) / 2;
+  const midLng = (swLng + neLng) / 2;
+  return [
+    [swLat, swLng, midLat, midLng],
+    [swLat, midLng, midLat, neLng],
+    [midLat, swLng, neLat, midLng],
+    [midLat, midLng, neLat, neLng],
+  ];
+}
+
+// ─── Slippy-map tiles ──────────────────────────────────────────────────────
+
+/**
+ * All tiles at zoom z that intersect [SW_lat, SW_lng, NE_lat, NE_lng].
+ * https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames
+ */
+function tilesForBounds([swLat, swLng, neLat, neLng], z) {
+  const [xMin, yMax] = latLngToTile(swLat, swLng, z);
+  const [xMax, yMin] = latLngToTile(neLat, neLng, z);
+
+  const tiles = [];
+  for (let x = xMin; x <= xMax; x++) {
+    for (let y = yMin; y <= yMax; y++) {
+      tiles.push({ key: `${z}/${x}/${y}`, x, y, z, bounds: tileBounds(x, y, z) });
+    }
+  }
+  return tiles;
+}
+
+function latLngToTile(lat, lng, z) {
+  const n = 2 ** z;
+  const latRad = (Math.max(-85.0511, Math.min(85.0511, lat)) * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  return [Math.min(n - 1, Math.max(0, x)), Math.min(n - 1, Math.max(0, y))];
+}
+
+/** [SW_lat, SW_lng, NE_lat, NE_lng] of a tile */
+function tileBounds(x, y, z) {
+  const n = 2 ** z;
+  const lng = (tx) => (tx / n) * 360 - 180;
+  const lat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return [lat(y + 1), lng(x), lat(y), lng(x + 1)];
+}
+
+/** Squared degree distance from a tile's centre — only used for ordering */
+function tileDistance(tile, lat, lng) {
+  const [swLat, swLng, neLat, neLng] = tile.bounds;
+  return ((swLat + neLat) / 2 - lat) ** 2 + ((swLng + neLng) / 2 - lng) ** 2;
+}
+
 // ─── Staleness ─────────────────────────────────────────────────────────────
 
 function isFresh(extractedAt) {
@@ -284,6 +1130,11 @@ function isFresh(extractedAt) {
   return ageSeconds < CACHE_TTL_DAYS * 86400;
 }
 
+function isTileFresh(fetchedAt) {
+  const ageSeconds = Math.floor(Date.now() / 1000) - fetchedAt;
+  return ageSeconds < EXPLORE_TTL_DAYS * 86400;
+}
+
 function isRefreshable(extractedAt) {
   const ageSeconds = Math.floor(Date.now() / 1000) - extractedAt;
   return ageSeconds >= REFRESH_MIN_AGE_DAYS * 86400;
@@ -296,13 +1147,54 @@ function getBearerToken(request) {
   return auth.startsWith('Bearer ') ? auth.slice(7) : null;
 }
 
-function json(data, status = 200) {
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await fn(item);
+    }
+  });
+  await Promise.all(workers);
+}
+
+function json(data, status = 200, extraHeaders = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
   });
 }
 
+/**
+ * Calls left in the current 15-minute window, from Strava's rate-limit
+ * headers (overall and read limits, whichever is tighter).
+ * Infinity when the headers are missing.
+ */
+function rateLimitRemaining(headers) {
+  const first = (name) => parseInt((headers.get(name) || '').split(',')[0], 10);
+  const remaining = [
+    first('x-ratelimit-limit') - first('x-ratelimit-usage'),
+    first('x-readratelimit-limit') - first('x-readratelimit-usage'),
+  ].filter(Number.isFinite);
+  return remaining.length ? Math.min(...remaining) : Infinity;
+}
+
+/**
+ * Strava's rate-limit headers, forwarded so the frontend can track the
+ * shared budget and tell the 15-minute limit from the daily one on a 429.
+ */
+function pickRateLimitHeaders(headers) {
+  const picked = {};
+  for (const name of ['x-ratelimit-limit', 'x-ratelimit-usage', 'x-readratelimit-limit', 'x-readratelimit-usage']) {
+    const value = headers.get(name);
+    if (value) picked[name] = value;
+  }
+  return picked;
+}
+
 /**
  * Strava doesn't reliably expose surface in the segment endpoint.
  * Best approximation: segment.segment_type or activity_type.
@@ -322,6 +1214,19 @@ function formatTime(timeStr) {
   return timeStr;
 }
 
+/**
+ * "5:32" / "1:02:03" / "45s" → seconds, or null if unparseable.
+ * Mirrors parseKomTime in the frontend.
+ */
+function parseTimeSeconds(timeStr) {
+  if (!timeStr) return null;
+  const clean = timeStr.trim();
+  if (/^\d+s?$/.test(clean)) return parseInt(clean, 10);
+  const parts = clean.split(':').map((p) => parseInt(p, 10));
+  if (parts.some(isNaN) || parts.length < 2 || parts.length > 3) return null;
+  return parts.reduce((total, p) => total * 60 + p, 0);
+}
+
 // ─── TypeScript-style interface docs (for frontend reference) ───────────────
 
 /**
@@ -346,8 +1251,56 @@ function formatTime(timeStr) {
  *   strava_href:          string        // deep link
  *   extracted_at:         number        // Unix seconds
  *   _source:              'cache' | 'miss' | 'stale' | 'refresh'
+ *   athlete_segment_stats?: AthleteSegmentStats | null   // only when fetched from Strava
  * }
  *
+ * AthleteSegmentStats — the caller's own record, never cached in D1
+ * { pr_elapsed_time: number | null, pr_date: string | null, effort_count: number }
+ *
+ * BatchResponse (POST /api/segments/batch)
+ * {
+ *   segments:     { [id]: SegmentDetail }
+ *   failed:       number[]
+ *   athleteStats: { [id]: AthleteSegmentStats }   // segments fetched from Strava in this request
+ * }
+ *
+ * ExploreResponse (GET /api/explore?bounds=…)
+ * {
+ *   segments:    Array<ExploreSummary & { surface: 'paved' | 'unpaved' }>   // see toExploreSummary
+ *   tiles:       { total, cached, fetched, failed, pending }   // counts; failed tiles were served but not cached
+ *   coverage:    number                                // 0–1, share of the area not capped at 10 segments
+ *   rateLimited: boolean                               // Strava 429 stopped fetching early
+ * }
+ *
+ * QueryResponse (GET /api/segments?bounds=…)
+ * { segments: SegmentDetail[], nextCursor: number | null }   // null = last page
+ *
+ * HistoryResponse (GET /api/segments/:id/history)
+ * {
+ *   segmentId: number
+ *   kom: Array<{ time: string, seconds: number | null, first_seen_at: number }>   // oldest first
+ *   qom: Array<{ time: string, seconds: number | null, first_seen_at: number }>
+ * }
+ *
+ * Target (GET|PUT /api/targets)
+ * {
+ *   segment_id:  number
+ *   note:        string | null
+ *   target_date: string | null   // "YYYY-MM-DD"
+ *   added_at:    number          // Unix seconds
+ *   updated_at:  number          // Unix seconds — newer wins on merge
+ *   deleted:     boolean         // tombstone of a removed target
+ *   snapshot:    { data, details, surface } | null
+ * }
+ *
+ * TargetsResponse (GET|PUT /api/targets)
+ * { targets: Target[] }
+ *
+ * HealthResponse (GET /api/health) — 503 when ok === false
+ * { ok: boolean, schemaVersion: number, expectedSchemaVersion: number, latestMigration: string | null }
+ *
+ * D1 tables: see worker/migrations/
+ *
  * RefreshResponse (POST /api/segments/:id/refresh)
  * Same as SegmentDetail + { refreshAllowed: boolean }
  * If refreshAllowed === false, no other fields are present.